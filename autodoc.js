@@ -2,20 +2,14 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
 const xml2js = require('xml2js');
 const marked = require('marked'); 
-const { program } = require('commander');
+const { Command } = require('commander');
 
-program
-  .option('--skip-uncommented', 'Skip abstracts and objects without comments')
-  .option('-i, --input <directory>', 'Input directory containing parsed files', './.eoc/1-parse')
-  .option('-o, --output <directory>', 'Output directory for generated documentation', './docs')
-  .parse(process.argv);
-
-const options = program.opts();
-
-const inputDir = options.input;
-const outputDir = options.output;
+const DEFAULT_INPUT_DIR = './.eoc/1-parse';
+const DEFAULT_OUTPUT_DIR = './docs';
 
 const markedOptions = {
     breaks: true,
@@ -24,12 +18,180 @@ const markedOptions = {
     mangle: false,
     headerIds: false
 };
-marked.setOptions(markedOptions);
+
+function isSafeUrl(url) {
+    const normalized = String(url || '')
+        .replace(/&#(x?)([0-9a-f]+);?/gi, (match, hex, code) => String.fromCodePoint(parseInt(code, hex ? 16 : 10) || 0))
+        .replace(/&(colon|tab|newline);/gi, (match, name) => ({ colon: ':', tab: '\t', newline: '\n' })[name.toLowerCase()])
+        .replace(/[\u0000-\u0020\u007f-\u009f]/g, '')
+        .toLowerCase();
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+    return !scheme || ['http', 'https', 'mailto'].includes(scheme[1]);
+}
+
+function sanitizeMarkdown(text, options, allowHtml) {
+    const replacements = new Map();
+    marked.walkTokens(marked.lexer(text, options), token => {
+        if (token.type === 'html' && !allowHtml) {
+            replacements.set(token.raw, escapeHtml(token.raw));
+        } else if (token.type === 'link' && !isSafeUrl(token.href)) {
+            replacements.set(token.raw, token.text);
+        } else if (token.type === 'image' && !isSafeUrl(token.href)) {
+            replacements.set(token.raw, escapeHtml(token.text));
+        }
+    });
+    if (replacements.size === 0) {
+        return text;
+    }
+    return text.split(/(```[\s\S]*?```|`[^`\n]*`)/).map((part, i) => {
+        if (i % 2 === 1) {
+            return part;
+        }
+        replacements.forEach((replacement, raw) => {
+            part = part.split(raw).join(replacement);
+        });
+        return part;
+    }).join('');
+}
+
+function createMarkdown(allowHtml) {
+    const options = { ...markedOptions };
+    const sanitize = text => sanitizeMarkdown(text, options, allowHtml);
+    return {
+        parse: text => marked.parse(sanitize(text), options),
+        parseInline: text => marked.parseInline(sanitize(text), options),
+        sanitize
+    };
+}
 
 const parser = new xml2js.Parser();
-const globalProcessedAbstracts = new Set();
 
-const packages = {};
+class AutodocError extends Error {
+    constructor(message, code, cause) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+}
+
+class InputError extends AutodocError {
+    constructor(message, inputDir, cause) {
+        super(message, 'EINPUT', cause);
+        this.inputDir = inputDir;
+    }
+}
+
+class XmirParseError extends AutodocError {
+    constructor(message, filePath, cause) {
+        super(message, 'EXMIR', cause);
+        this.filePath = filePath;
+    }
+}
+
+class OptionError extends AutodocError {
+    constructor(message, option) {
+        super(message, 'EOPTION');
+        this.option = option;
+    }
+}
+
+class ThemeError extends AutodocError {
+    constructor(message, filePath, cause) {
+        super(message, 'ETHEME', cause);
+        this.filePath = filePath;
+    }
+}
+
+class CoverageError extends AutodocError {
+    constructor(message, coverage, minimum) {
+        super(message, 'ECOVERAGE');
+        this.coverage = coverage;
+        this.minimum = minimum;
+    }
+}
+
+class OutputError extends AutodocError {
+    constructor(message, filePath, cause) {
+        super(message, 'EOUTPUT', cause);
+        this.filePath = filePath;
+    }
+}
+
+const OUTPUT_FORMATS = ['html', 'json', 'markdown'];
+
+function createContext(opts = {}) {
+    const logger = opts.logger || console;
+    const format = opts.format || 'html';
+    if (opts.minCoverage !== undefined && !(Number(opts.minCoverage) >= 0 && Number(opts.minCoverage) <= 100)) {
+        throw new OptionError(`Minimum coverage must be a percentage between 0 and 100, got "${opts.minCoverage}".`, 'minCoverage');
+    }
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new OptionError(`Unknown format "${format}", expected one of: ${OUTPUT_FORMATS.join(', ')}.`, 'format');
+    }
+    return {
+        inputDir: opts.input || DEFAULT_INPUT_DIR,
+        outputDir: opts.output || DEFAULT_OUTPUT_DIR,
+        skipUncommented: Boolean(opts.skipUncommented),
+        sourceDir: opts.source || null,
+        sourceUrlTemplate: opts.sourceUrlTemplate || null,
+        sourceRef: opts.sourceRef || 'HEAD',
+        format,
+        jsonFile: opts.json || null,
+        themeDir: opts.theme || null,
+        allowHtml: Boolean(opts.allowHtml),
+        markdown: createMarkdown(Boolean(opts.allowHtml)),
+        cacheEnabled: opts.cache !== false,
+        coverage: Boolean(opts.coverage) || opts.minCoverage !== undefined,
+        minCoverage: opts.minCoverage === undefined ? null : Number(opts.minCoverage),
+        cache: null,
+        removed: [],
+        logger,
+        packages: {},
+        processedAbstracts: new Map(),
+        files: [],
+        warnings: []
+    };
+}
+
+function warn(ctx, message) {
+    ctx.warnings.push(message);
+    ctx.logger.warn(`Warning: ${message}`);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function scriptJson(value) {
+    return JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+async function writeOutputFile(ctx, fileName, content) {
+    const filePath = await writeFile(path.join(ctx.outputDir, fileName), content);
+    ctx.files.push(filePath);
+    return filePath;
+}
+
+async function writeFile(filePath, content) {
+    try {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, content, 'utf-8');
+    } catch (err) {
+        throw new OutputError(`Cannot write "${filePath}": ${err.message}`, filePath, err);
+    }
+    return filePath;
+}
 
 async function readxmirFilesRecursively(dir) {
     let xmirFiles = [];
@@ -57,43 +219,256 @@ function extractComments(commentsXml) {
     })) || [];
 }
 
-function buildLineToCommentMap(comments) {
+function extractMetas(metasXml) {
+    return metasXml?.map(meta => ({
+        line: parseInt(meta.$ && meta.$.line, 10),
+        head: String(meta.head && meta.head[0] || '').trim(),
+        tail: String(meta.tail && meta.tail[0] || '').trim(),
+        parts: (meta.part || []).map(part => String(part).trim())
+    })) || [];
+}
+
+function collectCommentTargets(objects, parentLine = null, targets = new Map()) {
+    (objects || []).forEach(o => {
+        const line = o.$ ? parseInt(o.$.line, 10) : NaN;
+        const named = Boolean(o.$ && o.$.name) && !Number.isNaN(line);
+        if (named && !targets.has(line)) {
+            targets.set(line, o.$.name === '@' && parentLine !== null ? parentLine : line);
+        }
+        collectCommentTargets(o.o, named && o.$.name !== '@' ? line : parentLine, targets);
+    });
+    return targets;
+}
+
+function attachComments(comments, objects) {
+    const targets = collectCommentTargets(objects);
+    const objectLines = [...targets.keys()].sort((a, b) => a - b);
+    const blocks = [];
+    comments.filter(comment => !Number.isNaN(comment.line))
+        .sort((a, b) => a.line - b.line)
+        .forEach(comment => {
+            const last = blocks[blocks.length - 1];
+            const exact = targets.has(comment.line);
+            if (last && last.exact === exact && (exact ? last.end === comment.line : comment.line - last.end <= 1)) {
+                last.comments.push(comment);
+                last.end = comment.line;
+            } else {
+                blocks.push({ comments: [comment], exact, end: comment.line });
+            }
+        });
+    blocks.forEach(block => {
+        const line = block.exact ? block.end : objectLines.find(line => line > block.end);
+        block.target = line === undefined ? null : targets.get(line);
+        block.priority = (block.target === line ? 0 : 2) + (block.exact ? 0 : 1);
+    });
     const map = {};
     comments.forEach(comment => {
-        map[comment.line] = comment.text.trim();
+        comment.target = null;
     });
+    blocks.filter(block => block.target !== null)
+        .sort((a, b) => a.priority - b.priority || b.end - a.end)
+        .forEach(block => {
+            if (map[block.target] !== undefined) return;
+            map[block.target] = block.comments.map(comment => (comment.text || '').trim()).filter(Boolean).join('\n');
+            block.comments.forEach(comment => {
+                comment.target = block.target;
+            });
+        });
     return map;
 }
 
-function preprocessMarkdown(markdownText) {
+const INLINE_REF_RE = /\{@link\s+([^}\s]+)(?:\s+([^}]*?))?\s*\}|\[\[([^\]|]+?)(?:\|([^\]]+))?\]\]/g;
+
+function replaceOutsideCode(text, fn) {
+    return text.split(/('''[\s\S]*?'''|```[\s\S]*?```)/).map((part, i) => i % 2 === 1 ? part : fn(part)).join('');
+}
+
+function findInlineRefs(text) {
+    const refs = [];
+    replaceOutsideCode(text.replace(/\\n/g, '\n'), part => {
+        let match;
+        INLINE_REF_RE.lastIndex = 0;
+        while ((match = INLINE_REF_RE.exec(part)) !== null) {
+            refs.push((match[1] || match[3]).trim());
+        }
+        return part;
+    });
+    return refs;
+}
+
+function resolveInlineRef(target, refs) {
+    const resolved = resolveBase(target, refs.scope, refs.pkgName, refs.allPackages);
+    if (resolved && resolved.kind === 'abstract') {
+        return { pkgName: resolved.pkgName, abstract: resolved.abstract };
+    }
+    if (resolved && resolved.kind === 'local' && resolved.owner) {
+        return { pkgName: refs.pkgName, abstract: resolved.owner };
+    }
+    const dot = target.lastIndexOf('.');
+    if (dot > 0) {
+        const owner = findAbstractByFqn(refs.allPackages, target.slice(0, dot));
+        const name = target.slice(dot + 1);
+        if (owner && (owner.abstract.childObjects.some(obj => obj.name === name) || (owner.abstract.params || []).some(p => p.name === name))) {
+            return owner;
+        }
+    }
+    return null;
+}
+
+function resolveInlineRefs(text, refs) {
+    return replaceOutsideCode(text, part => part.replace(INLINE_REF_RE, (match, linkTarget, linkLabel, wikiTarget, wikiLabel) => {
+        const target = (linkTarget || wikiTarget).trim();
+        const label = (linkLabel || wikiLabel || '').trim() || `\`${target}\``;
+        const resolved = refs && refs.allPackages ? resolveInlineRef(target, refs) : null;
+        return resolved ? `[${label}](${abstractUrl(resolved.pkgName, resolved.abstract, refs.ext || 'html')})` : label;
+    }));
+}
+
+function preprocessMarkdown(markdownText, refs = null) {
     if (!markdownText) return '';
-    const textWithProperNewlines = markdownText.replace(/\\n/g, '\n');
+    const textWithProperNewlines = resolveInlineRefs(markdownText.replace(/\\n/g, '\n'), refs);
     return textWithProperNewlines.replace(/'''([\s\S]*?)'''/g, '\n```\n$1\n```\n');
 }
 
-function buildAbstracts(objects, lineToCommentMap, parentAbstract = null, abstracts = [], skipUncommented = false) {
+const DOC_TAGS = ['param', 'return', 'returns', 'example', 'see', 'since', 'deprecated'];
+
+function parseDocTags(text) {
+    if (!text) return null;
+    const description = [];
+    const tags = [];
+    let current = null;
+    let inFence = false;
+    text.replace(/\\n/g, '\n').split('\n').forEach(line => {
+        const match = !inFence && /^\s*@(\w+)(?:\s+|$)(.*)$/.exec(line);
+        if (match && DOC_TAGS.includes(match[1])) {
+            current = { tag: match[1], lines: [match[2]] };
+            tags.push(current);
+        } else if (current) {
+            current.lines.push(line);
+        } else {
+            description.push(line);
+        }
+        if (((line.match(/'''|```/g) || []).length) % 2 !== 0) {
+            inFence = !inFence;
+        }
+    });
+    if (tags.length === 0) return null;
+    const result = {
+        description: description.join('\n').trim(),
+        params: {},
+        returns: '',
+        examples: [],
+        see: [],
+        since: '',
+        deprecated: null
+    };
+    tags.forEach(({ tag, lines }) => {
+        const body = lines.join('\n').trim();
+        if (tag === 'param') {
+            const [, name, desc] = /^(\S+)\s*([\s\S]*)$/.exec(body) || [];
+            if (name) result.params[name] = desc.trim();
+        } else if (tag === 'return' || tag === 'returns') {
+            result.returns = body;
+        } else if (tag === 'example') {
+            result.examples.push(body);
+        } else if (tag === 'see') {
+            const [, target, label] = /^(\S+)\s*([\s\S]*)$/.exec(body) || [];
+            if (target) result.see.push({ target, label: label.trim() });
+        } else if (tag === 'since') {
+            result.since = body;
+        } else if (tag === 'deprecated') {
+            result.deprecated = body;
+        }
+    });
+    return result;
+}
+
+function extractDocTags(item) {
+    const tags = parseDocTags(item.comments);
+    if (tags) {
+        item.comments = tags.description;
+        item.tags = tags;
+    }
+    return tags;
+}
+
+function applyDocTags(ctx, abstracts, sourceFile) {
+    abstracts.forEach(abs => {
+        const tags = extractDocTags(abs);
+        if (tags) {
+            Object.keys(tags.params).forEach(name => {
+                const param = abs.params.find(p => p.name === name);
+                if (!param) {
+                    warn(ctx, `@param "${name}" of "${abs.uniqueId}" in "${sourceFile}" does not match any free attribute.`);
+                } else if (!param.comments) {
+                    param.comments = tags.params[name];
+                }
+            });
+        }
+        abs.childObjects.forEach(extractDocTags);
+        applyDocTags(ctx, abs.childrenAbstracts, sourceFile);
+    });
+}
+
+function isDeprecated(item) {
+    return Boolean(item.tags && item.tags.deprecated !== null);
+}
+
+function isFreeAttribute(o) {
+    if (!o.$ || o.$.abstract !== undefined || o.$.atom !== undefined) return false;
+    if (o.o && o.o.length > 0) return false;
+    return !o.$.base || o.$.base === '∅';
+}
+
+function decorateeOf(o) {
+    const phi = (o.o || []).find(child => child.$ && child.$.name === '@');
+    if (!phi || !phi.$.base || phi.$.base === '∅') return '';
+    const base = phi.$.base;
+    if (base.startsWith('.')) {
+        const receiver = phi.o && phi.o[0] && phi.o[0].$ && phi.o[0].$.base;
+        return receiver && !receiver.startsWith('.') ? `${receiver}${base}` : base;
+    }
+    return base;
+}
+
+function buildParam(o, lineToCommentMap, owner) {
+    const line = parseInt(o.$.line, 10);
+    return {
+        name: o.$.name,
+        line,
+        pos: parseInt(o.$.pos, 10),
+        comments: line !== owner.line ? lineToCommentMap[line] || '' : ''
+    };
+}
+
+function buildAbstracts(objects, lineToCommentMap, parentAbstract, abstracts, ctx, source) {
     if (!objects) return abstracts;
+    const skipUncommented = ctx.skipUncommented;
     objects.forEach(o => {
         if (!o.$ || !o.$.line) return;
         const objectName = o.$.name || 'Unnamed';
         if (objectName === 'Unnamed' || objectName === '@' || objectName === 'λ') {
             return;
         }
+        if (parentAbstract && isFreeAttribute(o)) {
+            if (!parentAbstract.params.some(param => param.name === objectName)) {
+                parentAbstract.params.push(buildParam(o, lineToCommentMap, parentAbstract));
+            }
+            return;
+        }
         const objectLine = parseInt(o.$.line, 10);
         const objectComment = lineToCommentMap[objectLine] || '';
         if (skipUncommented && !objectComment) {
-            console.log(`Skipping object '${objectName}' without comments.`);
+            ctx.logger.log(`Skipping object '${objectName}' without comments.`);
             return;
         }
 
-        const currentUniqueId = parentAbstract ? `${parentAbstract.uniqueId}_${objectName}` : objectName;
+        const currentUniqueId = parentAbstract ?
+            `${parentAbstract.uniqueId}.${objectName}` :
+            (source.pkgName ? `${source.pkgName}.${objectName}` : objectName);
 
         const isRootObject = !parentAbstract;
         if (isRootObject) {
-            if (globalProcessedAbstracts.has(currentUniqueId)) {
-                return;
-            }
-            globalProcessedAbstracts.add(currentUniqueId);
             const abstract = {
                 name: objectName,
                 uniqueId: currentUniqueId,
@@ -101,10 +476,13 @@ function buildAbstracts(objects, lineToCommentMap, parentAbstract = null, abstra
                 pos: parseInt(o.$.pos, 10),
                 comments: objectComment,
                 parent: parentAbstract,
+                params: [],
                 childrenAbstracts: [],
                 childObjects: [],
                 base: o.$.base || '',
-                isQuestion: o.$.name && o.$.name.includes('?')
+                decoratee: decorateeOf(o),
+                isQuestion: o.$.name && o.$.name.includes('?'),
+                sourceFile: source.file
             };
             abstracts.push(abstract);
             if (o.o && o.o.length > 0) {
@@ -114,13 +492,17 @@ function buildAbstracts(objects, lineToCommentMap, parentAbstract = null, abstra
                         if (childName === 'Unnamed' || childName === '@' || childName === 'λ') {
                             return;
                         }
+                        if (isFreeAttribute(childObj)) {
+                            abstract.params.push(buildParam(childObj, lineToCommentMap, abstract));
+                            return;
+                        }
                         const childLine = parseInt(childObj.$.line, 10);
                         const childComment = lineToCommentMap[childLine] || '';
                         if (skipUncommented && !childComment) {
                             return;
                         }
                         if (childObj.o && childObj.o.length > 0) {
-                            const nestedAbstracts = buildAbstracts([childObj], lineToCommentMap, abstract, [], skipUncommented);
+                            const nestedAbstracts = buildAbstracts([childObj], lineToCommentMap, abstract, [], ctx, source);
                             if (nestedAbstracts && nestedAbstracts.length > 0) {
                                 abstract.childrenAbstracts.push(...nestedAbstracts);
                             }
@@ -140,11 +522,12 @@ function buildAbstracts(objects, lineToCommentMap, parentAbstract = null, abstra
                 o.o.forEach(childObj => {
                     if (childObj.$ && childObj.$.name) {
                         const childName = childObj.$.name;
-                        const childUniqueId = `${abstract.uniqueId}_${childName}`;
+                        const childUniqueId = `${abstract.uniqueId}.${childName}`;
                         const isAlreadyProcessedAsAbstract = abstract.childrenAbstracts.some(a => a.uniqueId === childUniqueId);
                         const isAlreadyProcessedAsObject = abstract.childObjects.some(obj => obj.name === childName && !obj.uniqueId);
+                        const isParam = abstract.params.some(param => param.name === childName);
                         
-                        if (!isAlreadyProcessedAsAbstract && !isAlreadyProcessedAsObject && childName !== 'Unnamed' && childName !== '@' && childName !== 'λ') {
+                        if (!isAlreadyProcessedAsAbstract && !isAlreadyProcessedAsObject && !isParam && childName !== 'Unnamed' && childName !== '@' && childName !== 'λ') {
                             const childLine = parseInt(childObj.$.line, 10);
                             const childComment = lineToCommentMap[childLine] || '';
                             if (!skipUncommented || childComment) {
@@ -175,7 +558,7 @@ function buildAbstracts(objects, lineToCommentMap, parentAbstract = null, abstra
             const hasSignificantChildren = o.o && o.o.some(child => 
                 child.$ && child.$.name && 
                 !['Unnamed', '@', 'λ'].includes(child.$.name) &&
-                child.o && child.o.length > 0
+                ((child.o && child.o.length > 0) || isFreeAttribute(child))
             );
 
             if (hasSignificantChildren) {
@@ -186,19 +569,21 @@ function buildAbstracts(objects, lineToCommentMap, parentAbstract = null, abstra
                     pos: parseInt(o.$.pos, 10),
                     comments: objectComment,
                     parent: parentAbstract,
+                    params: [],
                     childrenAbstracts: [],
                     childObjects: [],
                     base: o.$.base || '',
+                    decoratee: decorateeOf(o),
                     isQuestion: objectName.includes('?')
                 };
-                buildAbstracts(o.o, lineToCommentMap, childAbstract, [], skipUncommented);
+                buildAbstracts(o.o, lineToCommentMap, childAbstract, [], ctx, source);
                 parentAbstract.childrenAbstracts.push(childAbstract);
             } else {
                  if (parentAbstract.childObjects.filter(co => co.name === obj.name).length === 0) {
                     parentAbstract.childObjects.push(obj);
                  }
                 if (o.o && o.o.length > 0) {
-                    buildAbstracts(o.o, lineToCommentMap, parentAbstract, abstracts, skipUncommented);
+                    buildAbstracts(o.o, lineToCommentMap, parentAbstract, abstracts, ctx, source);
                 }
             }
         }
@@ -210,8 +595,282 @@ function sanitizeFileName(name) {
     return name.replace(/[^a-z0-9.]/gi, '_').toLowerCase();
 }
 
-function renderAbstract(abs) {
-    const commentsHtml = abs.comments ? marked.parse(preprocessMarkdown(abs.comments)) : '';
+function encodePageName(name) {
+    return Array.from(Buffer.from(name, 'utf8'), byte => {
+        const char = String.fromCharCode(byte);
+        return /[a-z0-9.-]/.test(char) ? char : `_${byte.toString(16).padStart(2, '0')}`;
+    }).join('');
+}
+
+function decodePageName(encoded) {
+    return encoded.replace(/(?:_[0-9a-f]{2})+/g, run => Buffer.from(run.replace(/_/g, ''), 'hex').toString('utf8'));
+}
+
+function packagePageName(pkgName, ext = 'html') {
+    return `package_${encodePageName(pkgName)}.${ext}`;
+}
+
+function packageOfPageName(pageName) {
+    const match = pageName.match(/^package_(.*)\.(?:html|md)$/);
+    return match && /^(?:[a-z0-9.-]|_[0-9a-f]{2})*$/.test(match[1]) ? decodePageName(match[1]) : null;
+}
+
+function legacyPackagePageName(pkgName) {
+    return `package_${sanitizeFileName(pkgName)}.html`;
+}
+
+function createPackage(name) {
+    return {
+        name,
+        abstracts: [],
+        sources: []
+    };
+}
+
+function findAbstractByFqn(allPackages, fqn) {
+    const parts = fqn.replace(/^Q\./, '').split('.');
+    for (let i = parts.length - 1; i >= 0; i--) {
+        const pkgName = parts.slice(0, i).join('.');
+        const pkg = allPackages[pkgName];
+        if (!pkg) continue;
+        let candidates = pkg.abstracts;
+        let found = null;
+        for (const name of parts.slice(i)) {
+            found = candidates.find(abs => abs.name === name);
+            if (!found) break;
+            candidates = found.childrenAbstracts || [];
+        }
+        if (found) {
+            return { pkgName, abstract: found };
+        }
+    }
+    return null;
+}
+
+function abstractUrl(pkgName, abstract, ext = 'html') {
+    return `${packagePageName(pkgName, ext)}#${encodeURIComponent(abstract.uniqueId)}`;
+}
+
+function rootAbstractOf(abstract) {
+    let root = abstract;
+    while (root.parent) {
+        root = root.parent;
+    }
+    return root;
+}
+
+function findSource(allPackages, pkgName, abstract) {
+    const pkg = allPackages[pkgName];
+    const root = rootAbstractOf(abstract);
+    return pkg && pkg.sources.find(src => src.file === root.sourceFile);
+}
+
+function findInScope(abstract, name) {
+    const param = (abstract.params || []).find(p => p.name === name);
+    if (param) return { kind: 'param', owner: abstract };
+    const child = (abstract.childrenAbstracts || []).find(a => a.name === name);
+    if (child) return { kind: 'abstract', abstract: child };
+    const obj = (abstract.childObjects || []).find(o => o.name === name);
+    if (obj) return { kind: 'object', owner: abstract };
+    return null;
+}
+
+function resolveLocalName(scope, name, pkgName) {
+    let current = scope;
+    while (current) {
+        const found = findInScope(current, name);
+        if (found) {
+            if (found.kind === 'abstract') {
+                return { kind: 'abstract', pkgName, abstract: found.abstract };
+            }
+            return { kind: 'local', owner: found.owner, title: `${found.kind === 'param' ? 'Parameter' : 'Object'} of ${found.owner.name}` };
+        }
+        current = current.parent;
+    }
+    return null;
+}
+
+function resolveBase(base, scope, pkgName, allPackages) {
+    if (!base || base === '∅') {
+        return null;
+    }
+    if (base.startsWith('Q.')) {
+        const target = findAbstractByFqn(allPackages, base);
+        return target ? { kind: 'abstract', ...target } : { kind: 'external', title: 'Not documented here' };
+    }
+    if (base.startsWith('.')) {
+        return { kind: 'unresolved', title: 'Attribute of the preceding object' };
+    }
+    const parts = base.split('.');
+    if (parts[0] === '^' || parts[0] === '$') {
+        let target = scope;
+        if (parts[0] === '^' && target) {
+            target = target.parent;
+        }
+        if (parts.length === 1 || !target) {
+            return { kind: 'local', title: parts[0] === '^' ? 'Parent object' : 'This object' };
+        }
+        const found = resolveLocalName(target, parts[1], pkgName);
+        return found || { kind: 'unresolved', title: 'Unresolved reference' };
+    }
+    if (scope) {
+        const local = resolveLocalName(scope, parts[0], pkgName);
+        if (local && parts.length === 1) return local;
+        if (local && local.kind === 'local') return { kind: 'local', owner: local.owner, title: `Attribute of ${parts[0]}` };
+    }
+    const pkg = allPackages[pkgName];
+    if (parts.length === 1 && pkg) {
+        const sibling = pkg.abstracts.find(a => a.name === base);
+        if (sibling) return { kind: 'abstract', pkgName, abstract: sibling };
+    }
+    const candidates = [base];
+    const root = scope ? rootAbstractOf(scope) : null;
+    const source = root && pkg && pkg.sources.find(src => src.file === root.sourceFile);
+    if (source) {
+        source.metas.filter(meta => meta.head === 'alias').forEach(meta => {
+            const fqn = meta.parts[meta.parts.length - 1] || meta.tail;
+            const alias = meta.parts.length > 1 ? meta.parts[0] : fqn.split('.').pop();
+            if (alias === parts[0]) {
+                candidates.unshift([fqn, ...parts.slice(1)].join('.'));
+            }
+        });
+    }
+    candidates.push(`org.eolang.${base}`);
+    for (const candidate of candidates) {
+        const target = findAbstractByFqn(allPackages, candidate);
+        if (target) return { kind: 'abstract', ...target };
+    }
+    return parts.length > 1 ?
+        { kind: 'external', title: 'Not documented here' } :
+        { kind: 'unresolved', title: 'Unresolved reference' };
+}
+
+function renderBase(base, scope, pkgName, allPackages) {
+    const resolved = resolveBase(base, scope, pkgName, allPackages);
+    if (!resolved) {
+        return '';
+    }
+    if (resolved.kind === 'abstract') {
+        return `<a class="base-link" href="${abstractUrl(resolved.pkgName, resolved.abstract)}"><code>${escapeHtml(base)}</code></a>`;
+    }
+    return `<code class="base-${resolved.kind}" title="${escapeHtml(resolved.title)}">${escapeHtml(base)}</code>`;
+}
+
+const relationsCache = new WeakMap();
+
+function relationsOf(allPackages) {
+    if (relationsCache.has(allPackages)) {
+        return relationsCache.get(allPackages);
+    }
+    const relations = new Map();
+    const entry = abs => {
+        if (!relations.has(abs)) {
+            relations.set(abs, { decorates: null, decoratedBy: [], composes: [], usedBy: [] });
+        }
+        return relations.get(abs);
+    };
+    const target = (base, scope, pkgName) => {
+        const resolved = resolveBase(base, scope, pkgName, allPackages);
+        return resolved && resolved.kind === 'abstract' ? { pkgName: resolved.pkgName, abstract: resolved.abstract } : null;
+    };
+    Object.keys(allPackages).sort().forEach(pkgName => {
+        const visit = abs => {
+            const own = entry(abs);
+            const base = abs.base ? target(abs.base, abs.parent, pkgName) : null;
+            if (base && base.abstract !== abs) {
+                entry(base.abstract).usedBy.push({ pkgName, abstract: abs, name: null });
+            }
+            const decoratee = abs.decoratee ? target(abs.decoratee, abs, pkgName) : null;
+            if (decoratee) {
+                own.decorates = decoratee;
+                entry(decoratee.abstract).decoratedBy.push({ pkgName, abstract: abs });
+                entry(decoratee.abstract).usedBy.push({ pkgName, abstract: abs, name: '@' });
+            }
+            abs.childObjects.forEach(obj => {
+                const part = obj.base ? target(obj.base, abs, pkgName) : null;
+                if (part) {
+                    entry(part.abstract).usedBy.push({ pkgName, abstract: abs, name: obj.name });
+                }
+                if (part && part.abstract !== abs && !own.composes.some(item => item.abstract === part.abstract)) {
+                    own.composes.push(part);
+                }
+            });
+            abs.childrenAbstracts.forEach(visit);
+        };
+        allPackages[pkgName].abstracts.forEach(visit);
+    });
+    relationsCache.set(allPackages, relations);
+    return relations;
+}
+
+function relationsOfAbstract(allPackages, abs) {
+    return relationsOf(allPackages).get(abs) || { decorates: null, decoratedBy: [], composes: [], usedBy: [] };
+}
+
+function referenceLabel(item) {
+    return item.name ? `${item.abstract.uniqueId}.${item.name}` : item.abstract.uniqueId;
+}
+
+const META_LABELS = {
+    alias: 'Aliases',
+    home: 'Home',
+    version: 'Version',
+    architect: 'Architects',
+    rt: 'Runtimes'
+};
+
+function groupMetas(metas) {
+    const groups = {};
+    metas.forEach(meta => {
+        if (meta.head === 'package') return;
+        if (!groups[meta.head]) {
+            groups[meta.head] = [];
+        }
+        groups[meta.head].push(meta);
+    });
+    return groups;
+}
+
+function renderMetaValue(meta, allPackages) {
+    if (meta.head === 'alias') {
+        const fqn = meta.parts[meta.parts.length - 1] || meta.tail;
+        const target = findAbstractByFqn(allPackages, fqn);
+        return target ?
+            `<a href="${abstractUrl(target.pkgName, target.abstract)}"><code>${escapeHtml(meta.tail)}</code></a>` :
+            `<code>${escapeHtml(meta.tail)}</code>`;
+    }
+    if (meta.head === 'home' && /^https?:\/\//.test(meta.tail)) {
+        return `<a href="${escapeHtml(meta.tail)}">${escapeHtml(meta.tail)}</a>`;
+    }
+    return `<code>${escapeHtml(meta.tail)}</code>`;
+}
+
+function renderSourceMetas(source, allPackages) {
+    const groups = groupMetas(source.metas);
+    const heads = Object.keys(META_LABELS).filter(head => groups[head])
+        .concat(Object.keys(groups).filter(head => !META_LABELS[head]).sort());
+    return `
+        <div class="source-file-meta">
+            <h3>${escapeHtml(source.file)}${source.lines ? ` <a class="source-link" href="${sourcePageName(source)}">source</a>` : ''}</h3>
+            ${heads.length > 0 ? `
+            <table class="meta-table">
+                <tbody>
+                    ${heads.map(head => `
+                        <tr>
+                            <td>${META_LABELS[head] || `+${escapeHtml(head)}`}</td>
+                            <td>${groups[head].length > 1 ?
+                                `<ul>${groups[head].map(meta => `<li>${renderMetaValue(meta, allPackages)}</li>`).join('')}</ul>` :
+                                renderMetaValue(groups[head][0], allPackages)}</td>
+                        </tr>`).join('\n')}
+                </tbody>
+            </table>` : '<div class="no-desc">No metadata</div>'}
+        </div>`;
+}
+
+function renderAbstract(data, theme) {
+    const { abstract: abs, pkgName, allPackages } = data;
+    const md = text => theme.markdown.parse(preprocessMarkdown(text, { scope: abs, pkgName, allPackages }));
+    const commentsHtml = abs.comments ? md(abs.comments) : '';
     const descriptionSection = `
     <section class="description-section">
         <h3>
@@ -227,13 +886,122 @@ function renderAbstract(abs) {
             }
         </div>
     </section>`;
+    const tags = abs.tags;
+    const badgesHtml = (isDeprecated(abs) ? ' <span class="badge deprecated-badge">deprecated</span>' : '') +
+        (tags && tags.since ? ` <span class="badge since-badge">since ${escapeHtml(tags.since)}</span>` : '');
+    const deprecationHtml = isDeprecated(abs) ? `
+    <div class="deprecation-notice"><strong>Deprecated.</strong> ${tags.deprecated ? md(tags.deprecated) : ''}</div>` : '';
+    const returnsSection = tags && tags.returns ? `
+    <section class="returns-section">
+        <h3>Returns</h3>
+        <div class="comments">${md(tags.returns)}</div>
+    </section>` : '';
+    const examplesSection = tags && tags.examples.length > 0 ? `
+    <section class="examples-section">
+        <h3>
+            <button class="collapsible" aria-expanded="true">
+                ${tags.examples.length > 1 ? 'Examples' : 'Example'}
+                <span class="icon">▼</span>
+            </button>
+        </h3>
+        <div class="collapsible-content">
+            ${tags.examples.map(example => `<div class="comments example">${/'''|```/.test(example) ?
+                md(example) :
+                theme.markdown.parse('```\n' + example + '\n```')}</div>`).join('\n')}
+        </div>
+    </section>` : '';
+    const seeSection = tags && tags.see.length > 0 ? `
+    <section class="see-section">
+        <h3>See Also</h3>
+        <ul>
+            ${tags.see.map(({ target, label }) => {
+                const link = /^https?:\/\//.test(target) ?
+                    `<a href="${escapeHtml(target)}">${escapeHtml(target)}</a>` :
+                    renderBase(target, abs, pkgName, allPackages);
+                return `<li>${link}${label ? ` — ${theme.markdown.parseInline(label)}` : ''}</li>`;
+            }).join('\n')}
+        </ul>
+    </section>` : '';
+    const params = abs.params || [];
+    const signatureHtml = `<pre class="signature"><code>[${params.map(param => escapeHtml(param.name)).join(' ')}] &gt; ${escapeHtml(abs.name)}</code></pre>`;
+    const baseHtml = renderBase(abs.base, abs.parent, pkgName, allPackages);
+    const decorateeHtml = renderBase(abs.decoratee, abs, pkgName, allPackages);
+    const { decoratedBy, usedBy } = relationsOfAbstract(allPackages, abs);
+    const decoratedBySection = decoratedBy.length > 0 ? `
+    <section class="decorated-by-section">
+        <h3>Decorated by</h3>
+        <ul>
+            ${decoratedBy.map(item => `<li><a href="${abstractUrl(item.pkgName, item.abstract)}"><code>${escapeHtml(item.abstract.uniqueId)}</code></a></li>`).join('\n')}
+        </ul>
+    </section>` : '';
+    const usedBySection = usedBy.length > 0 ? `
+    <section class="used-by-section">
+        <h3>
+            <button class="collapsible collapsed" aria-expanded="false">
+                Used by (${usedBy.length})
+                <span class="icon">►</span>
+            </button>
+        </h3>
+        <div class="collapsible-content" style="display: none;">
+            ${[...new Set(usedBy.map(item => item.pkgName))].map(usingPkg => `
+            <h4>${escapeHtml(usingPkg || '(default)')}</h4>
+            <ul>
+                ${usedBy.filter(item => item.pkgName === usingPkg).map(item => `<li><a href="${abstractUrl(item.pkgName, item.abstract)}"><code>${escapeHtml(referenceLabel(item))}</code></a></li>`).join('\n')}
+            </ul>`).join('\n')}
+        </div>
+    </section>` : '';
+    const source = findSource(allPackages, pkgName, abs);
+    const hasSource = source && source.lines;
+    const sourceLinkHtml = (hasSource ? ` <a class="source-link" href="${sourcePageName(source)}#L${abs.line}">source</a>` : '') +
+        (abs.repositoryUrl ? ` <a class="source-link repository-link" href="${escapeHtml(abs.repositoryUrl)}">view on repository</a>` : '');
+    const sourceSection = hasSource ? `
+    <section class="source-section">
+        <h3>
+            <button class="collapsible collapsed" aria-expanded="false">
+                Source
+                <span class="icon">►</span>
+            </button>
+        </h3>
+        <div class="collapsible-content" style="display: none;">
+            ${renderSourceExcerpt(source, abs.line)}
+        </div>
+    </section>` : '';
+    let paramsSection = '';
+    if (params.length > 0) {
+        paramsSection = `
+        <section class="params-section">
+            <h3>
+                <button class="collapsible collapsed" aria-expanded="false">
+                    Parameters of ${escapeHtml(abs.name)}
+                    <span class="icon">►</span>
+                </button>
+            </h3>
+            <div class="collapsible-content" style="display: none;">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Description</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${params.map(param => `
+                            <tr>
+                                <td>${escapeHtml(param.name)}</td>
+                                <td class="table-description">${param.comments ? md(param.comments) : 'No description'}</td>
+                            </tr>`).join('\n')}
+                    </tbody>
+                </table>
+            </div>
+        </section>`;
+    }
     let childObjectsSection = '';
     if (abs.childObjects.length > 0) {
         childObjectsSection = `
         <section class="objects-section">
             <h3>
                 <button class="collapsible collapsed" aria-expanded="false">
-                    Objects of ${abs.name}
+                    Objects of ${escapeHtml(abs.name)}
                     <span class="icon">►</span>
                 </button>
             </h3>
@@ -242,14 +1010,16 @@ function renderAbstract(abs) {
                     <thead>
                         <tr>
                             <th>Name</th>
+                            <th>Base</th>
                             <th>Description</th>
                         </tr>
                     </thead>
                     <tbody>
                         ${abs.childObjects.map(obj => `
                             <tr>
-                                <td>${obj.name}${obj.isQuestion ? ' (?)' : ''}</td>
-                                <td class="table-description">${obj.comments ? marked.parse(preprocessMarkdown(obj.comments)) : 'No description'}</td>
+                                <td${isDeprecated(obj) ? ' class="deprecated"' : ''}>${escapeHtml(obj.name)}${obj.isQuestion ? ' (?)' : ''}${isDeprecated(obj) ? ' <span class="badge deprecated-badge">deprecated</span>' : ''}${obj.tags && obj.tags.since ? ` <span class="badge since-badge">since ${escapeHtml(obj.tags.since)}</span>` : ''}${obj.repositoryUrl ? ` <a class="repository-link" href="${escapeHtml(obj.repositoryUrl)}" title="View on repository">↗</a>` : ''}</td>
+                                <td class="base-cell">${renderBase(obj.base, abs, pkgName, allPackages) || '—'}</td>
+                                <td class="table-description">${obj.comments ? md(obj.comments) : 'No description'}</td>
                             </tr>`).join('\n')}
                     </tbody>
                 </table>
@@ -262,7 +1032,7 @@ function renderAbstract(abs) {
         <section class="nested-abstracts-section">
             <h3>
                 <button class="collapsible collapsed" aria-expanded="false">
-                    Nested Abstracts of ${abs.name}
+                    Nested Abstracts of ${escapeHtml(abs.name)}
                     <span class="icon">►</span>
                 </button>
             </h3>
@@ -270,7 +1040,7 @@ function renderAbstract(abs) {
                 <div class="nested-abstracts">
                     ${abs.childrenAbstracts.map(child => `
                         <div class="nested-abstract">
-                            ${renderAbstract(child)}
+                            ${theme.abstract({ abstract: child, pkgName, allPackages }, theme)}
                         </div>
                     `).join('\n')}
                 </div>
@@ -278,27 +1048,74 @@ function renderAbstract(abs) {
         </section>`;
     }
     return `
-    <section class="abstract-section" id="${abs.uniqueId}">
-        <h2>${abs.name}${abs.isQuestion ? ' (?)' : ''}</h2>
+    <section class="abstract-section" id="${escapeHtml(abs.uniqueId)}">
+        <h2>${escapeHtml(abs.name)}${abs.isQuestion ? ' (?)' : ''}${badgesHtml}${sourceLinkHtml}</h2>
+        ${signatureHtml}
+        ${baseHtml ? `<div class="base-ref">Base: ${baseHtml}</div>` : ''}
+        ${decorateeHtml ? `<div class="base-ref decoratee-ref">Decorates: ${decorateeHtml}</div>` : ''}
+        ${deprecationHtml}
         ${descriptionSection}
+        ${paramsSection}
+        ${returnsSection}
+        ${examplesSection}
+        ${seeSection}
+        ${decoratedBySection}
+        ${usedBySection}
         ${childObjectsSection}
+        ${sourceSection}
         ${nestedAbstractsSection}
     </section>
     `;
 }
 
-function generatePackagePage(pkgName, pkgData, allPackages) {
+function legacyAnchorOf(abstract) {
+    return abstract.parent ? `${legacyAnchorOf(abstract.parent)}_${abstract.name}` : abstract.name;
+}
+
+function collectLegacyAnchors(pkgData) {
+    const ids = new Set();
+    const abstracts = [];
+    const collect = abs => {
+        ids.add(abs.uniqueId);
+        abstracts.push(abs);
+        abs.childrenAbstracts.forEach(collect);
+    };
+    pkgData.abstracts.forEach(collect);
+    const anchors = {};
+    abstracts.forEach(abs => {
+        const legacyAnchor = legacyAnchorOf(abs);
+        if (!ids.has(legacyAnchor) && !Object.prototype.hasOwnProperty.call(anchors, legacyAnchor)) {
+            anchors[legacyAnchor] = abs.uniqueId;
+        }
+    });
+    return anchors;
+}
+
+function generatePackagePage(data, theme) {
+    const { pkgName, pkgData, allPackages } = data;
     const packageParts = pkgName.split('.');
     const parentPackage = packageParts.length > 1 ? packageParts.slice(0, -1).join('.') : null;
     const childPackages = Object.keys(allPackages).filter(p => {
         return p.startsWith(pkgName + '.') && p.split('.').length === packageParts.length + 1;
     });
-    const abstractsHtml = pkgData.abstracts.map(abs => renderAbstract(abs)).join('\n');
+    const abstractsHtml = pkgData.abstracts.map(abs => theme.abstract({ abstract: abs, pkgName, allPackages }, theme)).join('\n');
+    const sourcesHtml = pkgData.sources && pkgData.sources.length > 0 ? `
+        <section class="source-files-section">
+            <h2>
+                <button class="collapsible collapsed" aria-expanded="false">
+                    Source Files
+                    <span class="icon">►</span>
+                </button>
+            </h2>
+            <div class="collapsible-content" style="display: none;">
+                ${pkgData.sources.map(source => renderSourceMetas(source, allPackages)).join('\n')}
+            </div>
+        </section>` : '';
     const buildAbstractsTree = (abstracts) => {
         return abstracts.map(abs => `
             <li class="sidebar-item">
                 <div class="sidebar-item-header">
-                    <a href="#${encodeURIComponent(abs.uniqueId)}" class="sidebar-link">${abs.name}</a>
+                    <a href="#${encodeURIComponent(abs.uniqueId)}" class="sidebar-link${isDeprecated(abs) ? ' deprecated' : ''}">${escapeHtml(abs.name)}</a>
                     ${abs.childrenAbstracts && abs.childrenAbstracts.length > 0 ? 
                         `<button class="sidebar-toggle" aria-label="Toggle nested items">
                             <span class="toggle-icon">►</span>
@@ -316,9 +1133,9 @@ function generatePackagePage(pkgName, pkgData, allPackages) {
             <h3 class="sidebar-title">Packages</h3>
             <ul class="sidebar-list">
                 <li class="sidebar-item"><a href="packages.html" class="sidebar-link">All Packages</a></li>
-                ${parentPackage ? `<li class="sidebar-item"><a href="package_${sanitizeFileName(parentPackage)}.html" class="sidebar-link">↑ Parent: ${parentPackage}</a></li>` : ''}
+                ${parentPackage ? `<li class="sidebar-item"><a href="${packagePageName(parentPackage)}" class="sidebar-link">↑ Parent: ${escapeHtml(parentPackage)}</a></li>` : ''}
                 ${childPackages.map(cp => 
-                    `<li class="sidebar-item"><a href="package_${sanitizeFileName(cp)}.html" class="sidebar-link">↳ ${cp.split('.').pop()}</a></li>`
+                    `<li class="sidebar-item"><a href="${packagePageName(cp)}" class="sidebar-link">↳ ${escapeHtml(cp.split('.').pop())}</a></li>`
                 ).join('')}
             </ul>
         </div>
@@ -334,7 +1151,7 @@ function generatePackagePage(pkgName, pkgData, allPackages) {
     const html = `<!DOCTYPE html>
 <html>
 <head>
-    <title>Package: ${pkgName}</title>
+    <title>Package: ${escapeHtml(pkgName)}</title>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <link rel="stylesheet" href="styles.css">
@@ -351,14 +1168,15 @@ function generatePackagePage(pkgName, pkgData, allPackages) {
     <div class="content-wrapper">
         <header>
             <div class="header-content">
-                <h1>Package: ${pkgName || '(default)'}</h1>
-                ${generateSearchBarHTML()}
+                <h1>Package: ${escapeHtml(pkgName || '(default)')}</h1>
+                ${theme.searchBar({}, theme)}
             </div>
         </header>
         
         <nav class="breadcrumb-nav">
             <p><a href="packages.html">All Packages</a></p>
-            ${parentPackage ? `<p>Parent Package: <a href="package_${sanitizeFileName(parentPackage)}.html">${parentPackage}</a></p>` : ''}
+            ${pkgData.abstracts.length > 0 ? `<p><a href="${graphPageName(pkgName)}">Decoration graph</a></p>` : ''}
+            ${parentPackage ? `<p>Parent Package: <a href="${packagePageName(parentPackage)}">${escapeHtml(parentPackage)}</a></p>` : ''}
             ${childPackages.length > 0 ? `
             <div class="child-packages">
                 <h2>
@@ -368,11 +1186,13 @@ function generatePackagePage(pkgName, pkgData, allPackages) {
                     </button>
                 </h2>
                 <div class="collapsible-content">
-                    <ul>${childPackages.map(cp => `<li><a href="package_${sanitizeFileName(cp)}.html">${cp}</a></li>`).join('\n')}</ul>
+                    <ul>${childPackages.map(cp => `<li><a href="${packagePageName(cp)}">${escapeHtml(cp)}</a></li>`).join('\n')}</ul>
                 </div>
             </div>` : ''}
         </nav>
         
+        ${sourcesHtml}
+        
         ${pkgData.abstracts.length > 0 ? 
             `<h2>Abstracts in this Package</h2>
             ${abstractsHtml}` : 
@@ -386,6 +1206,7 @@ function generatePackagePage(pkgName, pkgData, allPackages) {
     
     <script src="search.js"></script>
     <script>
+        const legacyAnchors = ${scriptJson(collectLegacyAnchors(pkgData))};
         document.addEventListener('DOMContentLoaded', function() {
             const collapsibles = document.querySelectorAll('.collapsible');
             collapsibles.forEach(collapsible => {
@@ -487,7 +1308,13 @@ function generatePackagePage(pkgName, pkgData, allPackages) {
                     sessionStorage.removeItem('expandTarget');
                     if (isObject) sessionStorage.removeItem('expandTargetType');
                 } else if (window.location.hash && window.location.hash.length > 1) {
-                    window.expandAndScrollToTarget(decodeURIComponent(window.location.hash.substring(1)), true, false, false);
+                    const hashTarget = decodeURIComponent(window.location.hash.substring(1));
+                    if (Object.prototype.hasOwnProperty.call(legacyAnchors, hashTarget)) {
+                        history.replaceState(null, '', '#' + encodeURIComponent(legacyAnchors[hashTarget]));
+                        window.expandAndScrollToTarget(legacyAnchors[hashTarget], true, false, false);
+                    } else {
+                        window.expandAndScrollToTarget(hashTarget, true, false, false);
+                    }
                 }
             }
         });
@@ -497,7 +1324,8 @@ function generatePackagePage(pkgName, pkgData, allPackages) {
     return html;
 }
 
-function generatePackagesPage(allPackages) {
+function generatePackagesPage(data, theme) {
+    const { allPackages, coverage, deprecated } = data;
     const packageNames = Object.keys(allPackages).sort();
     const packageTree = {};
     packageNames.forEach(p => {
@@ -519,7 +1347,7 @@ function generatePackagesPage(allPackages) {
             const hasChildren = Object.keys(node.children).length > 0;
             return `<li class="sidebar-item">
                 <div class="sidebar-item-header">
-                    <a href="package_${sanitizeFileName(node.fullName || key)}.html" class="sidebar-link">${key}</a>
+                    <a href="${packagePageName(node.fullName || key)}" class="sidebar-link">${escapeHtml(key)}</a>
                     ${hasChildren ? 
                         `<button class="sidebar-toggle" aria-label="Toggle nested packages">
                             <span class="toggle-icon">►</span>` : ''}
@@ -531,13 +1359,54 @@ function generatePackagesPage(allPackages) {
             </li>`;
         }).join('');
     };
-    const sidebarHtml = `
-    <div class="sidebar-section">
-        <h3 class="sidebar-title">All Packages</h3>
+    const metaIndex = [];
+    packageNames.forEach(p => {
+        const sources = allPackages[p].sources || [];
+        allPackages[p].abstracts.forEach(abs => {
+            const source = sources.find(src => src.file === abs.sourceFile);
+            if (!source) return;
+            const metas = {};
+            Object.entries(groupMetas(source.metas)).forEach(([head, group]) => {
+                metas[head] = group.map(meta => meta.tail);
+            });
+            metaIndex.push({
+                name: abs.name,
+                package: p || '(default)',
+                url: abstractUrl(p, abs),
+                metas
+            });
+        });
+    });
+    const metaHeads = [...new Set(metaIndex.flatMap(item => Object.keys(item.metas)))].sort();
+    const metaFilterHtml = metaHeads.length > 0 ? `
+        <section class="meta-filter">
+            <h2>Filter Abstracts by Meta</h2>
+            <div class="meta-filter-controls">
+                <select id="meta-filter-key" aria-label="Meta">
+                    <option value="">Choose a meta...</option>
+                    ${metaHeads.map(head => `<option value="${escapeHtml(head)}">+${escapeHtml(head)}</option>`).join('\n')}
+                </select>
+                <select id="meta-filter-value" aria-label="Meta value" disabled>
+                    <option value="">Any value</option>
+                </select>
+            </div>
+            <ul id="meta-filter-results" class="package-list"></ul>
+        </section>` : '';
+    const sidebarHtml = `
+    <div class="sidebar-section">
+        <h3 class="sidebar-title">All Packages</h3>
         <ul class="sidebar-list">
             ${renderPackageTree(packageTree)}
         </ul>
-    </div>`;
+    </div>
+    ${coverage || (deprecated && deprecated.length > 0) ? `
+    <div class="sidebar-section">
+        <h3 class="sidebar-title">Reports</h3>
+        <ul class="sidebar-list">
+            ${coverage ? '<li class="sidebar-item"><a href="coverage.html" class="sidebar-link">Documentation Coverage</a></li>' : ''}
+            ${deprecated && deprecated.length > 0 ? `<li class="sidebar-item"><a href="deprecated.html" class="sidebar-link">Deprecated (${deprecated.length})</a></li>` : ''}
+        </ul>
+    </div>` : ''}`;
     const html = `<!DOCTYPE html>
 <html>
 <head>
@@ -558,14 +1427,16 @@ function generatePackagesPage(allPackages) {
         <header>
             <div class="header-content">
                 <h1>Packages Catalog</h1>
-                ${generateSearchBarHTML()}
+                ${theme.searchBar({}, theme)}
             </div>
         </header>
+        ${coverage ? `<p class="coverage-summary">Documentation coverage: <a href="coverage.html">${formatPercent(coverage.overall.total)}</a></p>` : ''}
         <section class="package-listing">
             <ul class="package-list">
-                ${packageNames.map(p => `<li><a href="package_${sanitizeFileName(p)}.html">${p || '(default)'}</a> <span class="object-count">${allPackages[p].abstracts.length} abstracts</span></li>`).join('\n')}
+                ${packageNames.map(p => `<li><a href="${packagePageName(p)}">${escapeHtml(p || '(default)')}</a> <span class="object-count">${allPackages[p].abstracts.length} abstracts</span></li>`).join('\n')}
             </ul>
         </section>
+        ${metaFilterHtml}
         <footer>
             <p>Generated on ${new Date().toLocaleString()}</p>
         </footer>
@@ -573,7 +1444,42 @@ function generatePackagesPage(allPackages) {
     
     <script src="search.js"></script>
     <script>
+        const metaIndex = ${scriptJson(metaIndex)};
         document.addEventListener('DOMContentLoaded', function() {
+            const metaKeySelect = document.getElementById('meta-filter-key');
+            const metaValueSelect = document.getElementById('meta-filter-value');
+            const metaResults = document.getElementById('meta-filter-results');
+            if (metaKeySelect && metaValueSelect && metaResults) {
+                const renderMetaResults = function() {
+                    const key = metaKeySelect.value;
+                    const value = metaValueSelect.value;
+                    if (!key) {
+                        metaResults.innerHTML = '';
+                        return;
+                    }
+                    const matches = metaIndex.filter(item => item.metas[key] && (!value || item.metas[key].includes(value)));
+                    metaResults.innerHTML = matches.length > 0 ?
+                        matches.map(item => '<li><a href="' + item.url + '">' + escapeHtml(item.name) + '</a> <span class="object-count">' + escapeHtml(item.package) + '</span></li>').join('') :
+                        '<li class="no-desc">No abstracts match</li>';
+                };
+                metaKeySelect.addEventListener('change', function() {
+                    const key = this.value;
+                    const values = [...new Set(metaIndex.flatMap(item => item.metas[key] || []))].sort();
+                    metaValueSelect.innerHTML = '<option value="">Any value</option>';
+                    values.forEach(value => {
+                        const option = document.createElement('option');
+                        option.value = value;
+                        option.textContent = value;
+                        metaValueSelect.appendChild(option);
+                    });
+                    metaValueSelect.disabled = !key;
+                    renderMetaResults();
+                });
+                metaValueSelect.addEventListener('change', renderMetaResults);
+            }
+            function escapeHtml(text) {
+                return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+            }
             const sidebarToggles = document.querySelectorAll('.sidebar-toggle');
             sidebarToggles.forEach(toggle => {
                 toggle.addEventListener('click', function(e) {
@@ -597,86 +1503,394 @@ function generatePackagesPage(allPackages) {
     return html;
 }
 
-function collectSearchableItems(allPackages) {
-    const searchData = {
-        abstracts: [],
-        packages: []
-    };
-    Object.keys(allPackages).forEach(pkgName => {
-        searchData.packages.push({
-            name: pkgName || '(default)',
-            url: `package_${sanitizeFileName(pkgName)}.html`
-        });
-        allPackages[pkgName].abstracts.forEach(abstract => {
-            searchData.abstracts.push({
-                name: abstract.name,
+function sourcePageName(source) {
+    return `source_${encodePageName(source.file.replace(/\.xmir$/, ''))}.html`;
+}
+
+function highlightEo(lines) {
+    let inTextBlock = false;
+    return lines.map(line => {
+        if (inTextBlock || /^\s*"""/.test(line)) {
+            if (inTextBlock && /"""/.test(line)) {
+                inTextBlock = false;
+            } else if (!inTextBlock && (line.match(/"""/g) || []).length === 1) {
+                inTextBlock = true;
+            }
+            return `<span class="eo-string">${escapeHtml(line)}</span>`;
+        }
+        if (/^\s*#/.test(line)) {
+            return `<span class="eo-comment">${escapeHtml(line)}</span>`;
+        }
+        if (/^\+/.test(line)) {
+            return `<span class="eo-meta">${escapeHtml(line)}</span>`;
+        }
+        const tokenRe = /("(?:[^"\\]|\\.)*")|(\b\d+(?:\.\d+)?\b|\b[0-9A-F]{2}(?:-[0-9A-F]{2})+-?|--)|(>>?\s*[^\s\[\]()>!]+!?)|([@^$ξρφQ]|[\[\]])/g;
+        let html = '';
+        let last = 0;
+        let match;
+        while ((match = tokenRe.exec(line)) !== null) {
+            html += escapeHtml(line.slice(last, match.index));
+            const cls = match[1] ? 'eo-string' : match[2] ? 'eo-number' : match[3] ? 'eo-name' : 'eo-keyword';
+            html += `<span class="${cls}">${escapeHtml(match[0])}</span>`;
+            last = match.index + match[0].length;
+        }
+        return html + escapeHtml(line.slice(last));
+    });
+}
+
+function indentOf(line) {
+    return line.length - line.trimStart().length;
+}
+
+function findAbstractEnd(lines, startLine) {
+    const start = lines[startLine - 1];
+    if (start === undefined) return startLine;
+    const indent = indentOf(start);
+    let end = startLine;
+    for (let i = startLine; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.trim() === '') continue;
+        if (indentOf(line) <= indent) break;
+        end = i + 1;
+    }
+    return end;
+}
+
+const highlightedSources = new WeakMap();
+
+function renderSourceLines(source, from, to, linkLines) {
+    if (!highlightedSources.has(source)) {
+        highlightedSources.set(source, highlightEo(source.lines));
+    }
+    const highlighted = highlightedSources.get(source);
+    const rows = [];
+    for (let n = from; n <= to; n++) {
+        const lineNumber = linkLines ?
+            `<a class="line-number" href="#L${n}">${n}</a>` :
+            `<a class="line-number" href="${sourcePageName(source)}#L${n}">${n}</a>`;
+        rows.push(`<span class="source-line"${linkLines ? ` id="L${n}"` : ''}>${lineNumber}${highlighted[n - 1] || ''}</span>`);
+    }
+    return `<pre class="source-listing"><code>${rows.join('\n')}</code></pre>`;
+}
+
+function renderSourceExcerpt(source, line) {
+    return renderSourceLines(source, line, findAbstractEnd(source.lines, line), false);
+}
+
+function generateSourcePage(data, theme) {
+    const { source, pkgName } = data;
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <title>Source: ${escapeHtml(source.eoFile)}</title>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+    <div class="sidebar" id="doc-sidebar">
+        <div class="sidebar-header">
+            <h2>Navigation</h2>
+        </div>
+        <div class="sidebar-section">
+            <h3 class="sidebar-title">Packages</h3>
+            <ul class="sidebar-list">
+                <li class="sidebar-item"><a href="packages.html" class="sidebar-link">All Packages</a></li>
+                <li class="sidebar-item"><a href="${packagePageName(pkgName)}" class="sidebar-link">↑ Package: ${escapeHtml(pkgName || '(default)')}</a></li>
+            </ul>
+        </div>
+    </div>
+
+    <div class="content-wrapper">
+        <header>
+            <div class="header-content">
+                <h1>Source: ${escapeHtml(source.eoFile)}</h1>
+                ${theme.searchBar({}, theme)}
+            </div>
+        </header>
+        ${renderSourceLines(source, 1, source.lines.length, true)}
+        <footer>
+            <p>Generated on ${new Date().toLocaleString()}</p>
+        </footer>
+    </div>
+    
+    <script src="search.js"></script>
+</body>
+</html>`;
+}
+
+const SEARCH_INDEX_FILE = 'search-index.json';
+const SEARCH_INDEX_SCRIPT = 'search-index.js';
+const SEARCH_INDEX_VERSION = 1;
+const SEARCH_FIELDS = ['type', 'name', 'package', 'path', 'url', 'usedBy', 'content'];
+const SEARCH_WEIGHTS = { name: 10, path: 3, content: 1 };
+const SEARCH_TOKEN_RE = /[\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)*/gu;
+
+function plainText(str) {
+    return str ? String(str)
+        .replace(/\\n|\n/g, ' ')
+        .replace(INLINE_REF_RE, (match, linkTarget, linkLabel, wikiTarget, wikiLabel) => linkLabel || wikiLabel || linkTarget || wikiTarget)
+        .replace(/```([\s\S]*?)```/g, '$1')
+        .replace(/`([^`]+?)`/g, '$1')
+        .replace(/!?\[([^\]]*)\]\([^\)]*\)/g, '$1')
+        .replace(/^#{1,6}\s+|^>\s*|^\s*[-*+]\s+|^\s*\d+\.\s+|(---|___|\*\*\*)\s*$/gm, '')
+        .replace(/(\*\*|__)(.*?)\1|(\*|_)(.*?)\3|~~(.*?)~~/g, '$2$4$5')
+        .replace(/\s+/g, ' ')
+        .trim() : '';
+}
+
+function searchTokens(text) {
+    const tokens = new Set();
+    (String(text || '').toLowerCase().match(SEARCH_TOKEN_RE) || []).forEach(token => {
+        tokens.add(token);
+        if (token.includes('-')) {
+            token.split('-').forEach(part => tokens.add(part));
+        }
+    });
+    return [...tokens];
+}
+
+function collectSearchDocuments(allPackages) {
+    const documents = [];
+    Object.keys(allPackages).sort().forEach(pkgName => {
+        const pkgUrl = packagePageName(pkgName);
+        if (pkgName) {
+            documents.push({ type: 'package', name: pkgName, package: '', path: '', url: pkgUrl, usedBy: 0, content: '' });
+        }
+        const addAbstract = (abs, path) => {
+            const url = `${pkgUrl}#${encodeURIComponent(abs.uniqueId)}`;
+            documents.push({
                 type: 'abstract',
+                name: abs.name,
                 package: pkgName || '(default)',
-                url: `package_${sanitizeFileName(pkgName)}.html#${encodeURIComponent(abstract.uniqueId)}`
+                path: path.join(' › '),
+                url,
+                usedBy: relationsOfAbstract(allPackages, abs).usedBy.length,
+                content: plainText(abs.comments)
             });
+            abs.childObjects.forEach(obj => documents.push({
+                type: 'object',
+                name: obj.name,
+                package: pkgName || '(default)',
+                path: [...path, abs.name].join(' › '),
+                url,
+                usedBy: 0,
+                content: plainText(obj.comments)
+            }));
+            abs.childrenAbstracts.forEach(child => addAbstract(child, [...path, abs.name]));
+        };
+        allPackages[pkgName].abstracts.forEach(abs => addAbstract(abs, []));
+    });
+    return documents;
+}
 
-            if (abstract.childObjects && abstract.childObjects.length > 0) {
-                abstract.childObjects.forEach(obj => {
-                    searchData.abstracts.push({
-                        name: obj.name,
-                        type: 'object',
-                        package: pkgName || '(default)',
-                        url: `package_${sanitizeFileName(pkgName)}.html#${encodeURIComponent(abstract.uniqueId)}`,
-                        parentName: abstract.name
-                    });
-                });
-            }
-
-            function addNestedAbstractsAndObjects(parentAbstract) {
-                if (parentAbstract.childrenAbstracts && parentAbstract.childrenAbstracts.length > 0) {
-                    parentAbstract.childrenAbstracts.forEach(childAbstract => {
-                        searchData.abstracts.push({
-                            name: childAbstract.name,
-                            type: 'abstract',
-                            package: pkgName || '(default)',
-                            url: `package_${sanitizeFileName(pkgName)}.html#${encodeURIComponent(childAbstract.uniqueId)}`,
-                            parentName: parentAbstract.name
-                        });
-
-                        if (childAbstract.childObjects && childAbstract.childObjects.length > 0) {
-                            childAbstract.childObjects.forEach(obj => {
-                                searchData.abstracts.push({
-                                    name: obj.name,
-                                    type: 'object',
-                                    package: pkgName || '(default)',
-                                    url: `package_${sanitizeFileName(pkgName)}.html#${encodeURIComponent(childAbstract.uniqueId)}`,
-                                    parentName: childAbstract.name
-                                });
-                            });
-                        }
-                        addNestedAbstractsAndObjects(childAbstract);
-                    });
-                }
+function buildSearchIndex(allPackages) {
+    const documents = collectSearchDocuments(allPackages);
+    const terms = new Map();
+    documents.forEach((doc, id) => {
+        const weights = new Map();
+        const add = (text, weight) => searchTokens(text).forEach(token => weights.set(token, (weights.get(token) || 0) + weight));
+        add(doc.name, SEARCH_WEIGHTS.name);
+        add(`${doc.package} ${doc.path}`, SEARCH_WEIGHTS.path);
+        add(doc.content, SEARCH_WEIGHTS.content);
+        weights.forEach((weight, token) => {
+            if (!terms.has(token)) {
+                terms.set(token, []);
             }
-            addNestedAbstractsAndObjects(abstract);
+            terms.get(token).push(id, weight);
         });
     });
-    return searchData;
+    return {
+        version: SEARCH_INDEX_VERSION,
+        fields: SEARCH_FIELDS,
+        docs: documents.map(doc => SEARCH_FIELDS.map(field => doc[field])),
+        terms: Object.fromEntries([...terms.keys()].sort().map(token => [token, terms.get(token)]))
+    };
 }
 
 function generateSearchBarHTML() {
     return `
     <div class="search-global-container">
         <div class="search-wrapper">
-            <input type="text" id="global-search" class="global-search-box" placeholder="Search abstracts and packages...">
+            <input type="text" id="global-search" class="global-search-box" placeholder="Search abstracts and packages... (press /)"
+                role="combobox" aria-label="Search documentation" aria-autocomplete="list" aria-expanded="false"
+                aria-controls="search-results" aria-keyshortcuts="/ Control+K" autocomplete="off">
             <button id="search-button" class="search-button" aria-label="Search">
                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
                     <path d="M11.742 10.344a6.5 6.5 0 1 0-1.397 1.398h-.001c.03.04.062.078.098.115l3.85 3.85a1 1 0 0 0 1.415-1.414l-3.85-3.85a1.007 1.007 0 0 0-.115-.1zM12 6.5a5.5 5.5 0 1 1-11 0 5.5 5.5 0 0 1 11 0z"/>
                 </svg>
             </button>
         </div>
-        <div id="search-results" class="search-results"></div>
+        <div id="search-results" class="search-results" role="listbox" aria-label="Search results"></div>
     </div>`;
 }
 
-function generateSearchJS(searchData) {
+function generateSearchJS() {
     return `
-const searchData = ${JSON.stringify(searchData, null, 2)};
+window.autodocSearch = (function() {
+    const tokenPattern = ${SEARCH_TOKEN_RE};
+    let loading = null;
+
+    function tokenize(text) {
+        const tokens = new Set();
+        (String(text || '').toLowerCase().match(tokenPattern) || []).forEach(token => {
+            tokens.add(token);
+            if (token.includes('-')) {
+                token.split('-').forEach(part => tokens.add(part));
+            }
+        });
+        return Array.from(tokens);
+    }
+
+    function loadScript() {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = '${SEARCH_INDEX_SCRIPT}';
+            script.onload = () => window.autodocSearchIndex ? resolve(window.autodocSearchIndex) : reject(new Error('Empty search index'));
+            script.onerror = () => reject(new Error('Cannot load the search index'));
+            document.head.appendChild(script);
+        });
+    }
+
+    function load() {
+        if (!loading) {
+            const source = window.autodocSearchIndex ?
+                Promise.resolve(window.autodocSearchIndex) :
+                fetch('${SEARCH_INDEX_FILE}')
+                    .then(response => {
+                        if (!response.ok) throw new Error(response.statusText);
+                        return response.json();
+                    })
+                    .catch(loadScript);
+            loading = source.then(index => {
+                index.termList = Object.keys(index.terms);
+                index.documents = index.docs.map(values => {
+                    const doc = {};
+                    index.fields.forEach((field, i) => {
+                        doc[field] = values[i];
+                    });
+                    return doc;
+                });
+                return index;
+            });
+            loading.catch(() => {
+                loading = null;
+            });
+        }
+        return loading;
+    }
+
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let best = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                best = Math.min(best, current[j]);
+            }
+            if (best > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    function parse(query) {
+        const parsed = { words: [], phrases: [], excluded: [], filters: [] };
+        const pattern = /(-?)(?:(type|pkg|parent):)?(?:"([^"]*)"?|(\\S+))/gi;
+        let match;
+        while ((match = pattern.exec(query)) !== null) {
+            const [, negated, field, phrase, word] = match;
+            const value = (phrase !== undefined ? phrase : word || '').trim().toLowerCase();
+            if (!value) continue;
+            if (field) {
+                parsed.filters.push({ field: field.toLowerCase(), value, negated: Boolean(negated) });
+            } else if (negated) {
+                parsed.excluded.push(value);
+            } else if (phrase !== undefined) {
+                parsed.phrases.push(value);
+            } else {
+                parsed.words.push(value);
+            }
+        }
+        return parsed;
+    }
+
+    function matchesFilter(doc, filter) {
+        const pkg = (doc.type === 'package' ? doc.name : doc.package).toLowerCase();
+        if (filter.field === 'type') return doc.type === filter.value;
+        if (filter.field === 'pkg') return pkg === filter.value || pkg.startsWith(filter.value + '.');
+        return doc.path !== '' && doc.path.split(' › ').pop().toLowerCase() === filter.value;
+    }
+
+    function matches(doc, parsed) {
+        const text = (doc.name + ' ' + doc.path + ' ' + doc.content).toLowerCase();
+        const words = tokenize(text);
+        return parsed.filters.every(filter => matchesFilter(doc, filter) !== filter.negated) &&
+            parsed.phrases.every(phrase => text.includes(phrase)) &&
+            parsed.excluded.every(value => value.includes(' ') ? !text.includes(value) : !words.includes(value));
+    }
+
+    function score(index, tokens) {
+        let scores = null;
+        tokens.forEach(token => {
+            const tokenScores = new Map();
+            const maxEdits = token.length >= 8 ? 2 : 1;
+            index.termList.forEach(term => {
+                let factor = 0;
+                if (term === token) {
+                    factor = 1;
+                } else if (term.startsWith(token)) {
+                    factor = 0.5;
+                } else if (token.length >= 4 && editDistance(token, term, maxEdits) <= maxEdits) {
+                    factor = 0.25;
+                }
+                if (factor === 0) return;
+                const postings = index.terms[term];
+                for (let i = 0; i < postings.length; i += 2) {
+                    const value = postings[i + 1] * factor;
+                    if (value > (tokenScores.get(postings[i]) || 0)) {
+                        tokenScores.set(postings[i], value);
+                    }
+                }
+            });
+            if (scores === null) {
+                scores = tokenScores;
+            } else {
+                const merged = new Map();
+                scores.forEach((value, id) => {
+                    if (tokenScores.has(id)) merged.set(id, value + tokenScores.get(id));
+                });
+                scores = merged;
+            }
+        });
+        return scores;
+    }
+
+    function search(index, query) {
+        const parsed = typeof query === 'string' ? parse(query) : query;
+        const text = parsed.words.concat(parsed.phrases).join(' ');
+        const tokens = tokenize(text);
+        let scores;
+        if (tokens.length > 0) {
+            scores = score(index, tokens);
+        } else if (parsed.filters.length > 0) {
+            scores = new Map(index.documents.map((doc, id) => [id, 0]));
+        } else {
+            return [];
+        }
+        return Array.from(scores).map(([id, value]) => {
+            const doc = index.documents[id];
+            const name = doc.name.toLowerCase();
+            const bonus = (text && name === text ? 50 : text && name.startsWith(text) ? 10 : 0) + Math.log2(1 + doc.usedBy);
+            return Object.assign({ score: value + bonus }, doc);
+        }).filter(doc => matches(doc, parsed))
+            .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+    }
+
+    return { load, search, parse, tokenize };
+})();
 
 window.expandAndScrollToTarget = function(targetId, scroll = true, updateHash = false, isObjectTarget = false) {
     const targetElement = document.getElementById(targetId);
@@ -742,92 +1956,149 @@ document.addEventListener('DOMContentLoaded', function() {
     
     if (!searchInput || !searchResultsContainer) return;
 
-    searchInput.addEventListener('input', function() {
-        const query = this.value.trim().toLowerCase();
-        if (query.length < 2) {
-            searchResultsContainer.style.display = 'none';
+    let activeIndex = -1;
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    function resultOptions() {
+        return Array.from(searchResultsContainer.querySelectorAll('[role="option"]:not([aria-disabled="true"])'));
+    }
+
+    function setActive(index) {
+        const options = resultOptions();
+        options.forEach(option => {
+            option.setAttribute('aria-selected', 'false');
+            option.classList.remove('active');
+        });
+        activeIndex = options.length === 0 || index === -1 ? -1 : index % options.length;
+        if (activeIndex === -1) {
+            searchInput.removeAttribute('aria-activedescendant');
             return;
         }
-        const matchingAbstractsAndObjects = searchData.abstracts
-            .filter(item => item.name.toLowerCase().includes(query))
-            .slice(0, 10);
-        const matchingPackages = searchData.packages
-            .filter(item => item.name.toLowerCase().includes(query))
-            .slice(0, 3);
-        let resultsHTML = '';
-        if (matchingAbstractsAndObjects.length > 0) {
-            resultsHTML += '<div class="search-category"><h4>Abstracts & Objects</h4><ul>';
-            matchingAbstractsAndObjects.forEach(item => {
-                let pathDisplay = item.package;
-                if (item.parentName) {
-                    pathDisplay += ' › ' + item.parentName;
+        const option = options[activeIndex];
+        option.setAttribute('aria-selected', 'true');
+        option.classList.add('active');
+        searchInput.setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView({ block: 'nearest' });
+    }
+
+    function showResults(html) {
+        searchResultsContainer.innerHTML = html;
+        searchResultsContainer.style.display = 'block';
+        searchInput.setAttribute('aria-expanded', 'true');
+        setActive(-1);
+    }
+
+    function hideResults() {
+        searchResultsContainer.style.display = 'none';
+        searchInput.setAttribute('aria-expanded', 'false');
+        searchInput.removeAttribute('aria-activedescendant');
+        activeIndex = -1;
+    }
+
+    function openResult(link, e) {
+        const href = link.getAttribute('href');
+        const itemType = link.dataset.itemType;
+        const [pathAndMaybeQuery, hashFragment] = href.split('#');
+        const linkBasePath = pathAndMaybeQuery.split('?')[0];
+        const currentBasePath = window.location.pathname.substring(window.location.pathname.lastIndexOf("/") + 1);
+
+        if (hashFragment) {
+            const decodedHash = decodeURIComponent(hashFragment);
+            const isObject = itemType === 'object';
+            if (currentBasePath !== linkBasePath && linkBasePath !== '' && linkBasePath.includes('package_')) {
+                sessionStorage.setItem('expandTarget', decodedHash);
+                if (isObject) {
+                    sessionStorage.setItem('expandTargetType', 'object');
+                } else {
+                    sessionStorage.removeItem('expandTargetType');
                 }
-                resultsHTML += \`<li>
-                    <a href="\${item.url}" class="search-result-link" data-item-type="\${item.type}">
-                        <span class="result-name">\${item.name} <span class="result-item-type">(\${item.type})</span></span>
-                        <span class="result-path">\${pathDisplay}</span>
-                    </a>
-                </li>\`;
-            });
-            resultsHTML += '</ul></div>';
-        }
-        if (matchingPackages.length > 0) {
-            resultsHTML += '<div class="search-category"><h4>Packages</h4><ul>';
-            matchingPackages.forEach(item => {
-                resultsHTML += \`<li>
-                    <a href="\${item.url}" class="search-result-link">
-                        <span class="result-name">\${item.name}</span>
-                        <span class="result-path">package</span>
-                    </a>
-                </li>\`;
-            });
-            resultsHTML += '</ul></div>';
+            } else if (currentBasePath === linkBasePath || linkBasePath === '') {
+                if (e) e.preventDefault();
+                hideResults();
+                if (typeof window.expandAndScrollToTarget === 'function') {
+                    window.expandAndScrollToTarget(decodedHash, true, true, isObject);
+                }
+                return;
+            }
         }
-        if (matchingAbstractsAndObjects.length === 0 && matchingPackages.length === 0) {
-            resultsHTML = '<div class="no-results">No matches found</div>';
-            resultsHTML += \`<div class="full-text-search">
-                <a href="search.html?q=\${encodeURIComponent(query)}">
-                    Search in comments and descriptions
-                </a>
-            </div>\`;
+        if (!e) {
+            window.location.href = href;
         }
-        searchResultsContainer.innerHTML = resultsHTML;
-        searchResultsContainer.style.display = 'block';
+    }
 
-        const searchResultLinks = searchResultsContainer.querySelectorAll('.search-result-link');
-        searchResultLinks.forEach(link => {
-            link.addEventListener('click', function(e) {
-                const href = this.getAttribute('href');
-                const itemType = this.dataset.itemType;
-                const [pathAndMaybeQuery, hashFragment] = href.split('#');
-                const linkBasePath = pathAndMaybeQuery.split('?')[0];
-                const currentBasePath = window.location.pathname.substring(window.location.pathname.lastIndexOf("/") + 1);
-
-                if (hashFragment) {
-                    const decodedHash = decodeURIComponent(hashFragment);
-                    const isObject = itemType === 'object';
-                    if (currentBasePath !== linkBasePath && linkBasePath !== '' && linkBasePath.includes('package_')) {
-                        sessionStorage.setItem('expandTarget', decodedHash);
-                        if (isObject) {
-                            sessionStorage.setItem('expandTargetType', 'object');
-                        } else {
-                            sessionStorage.removeItem('expandTargetType');
-                        }
-                    } else if (currentBasePath === linkBasePath || linkBasePath === '') {
-                        e.preventDefault();
-                        if (typeof window.expandAndScrollToTarget === 'function') {
-                            window.expandAndScrollToTarget(decodedHash, true, true, isObject);
-                        }
+    searchInput.addEventListener('focus', function() {
+        window.autodocSearch.load().catch(() => {});
+    }, { once: true });
+
+    searchInput.addEventListener('input', function() {
+        const query = this.value.trim();
+        if (query.length < 2) {
+            hideResults();
+            return;
+        }
+        window.autodocSearch.load().then(index => {
+            if (searchInput.value.trim() !== query) return;
+            const results = window.autodocSearch.search(index, query);
+            const matchingAbstractsAndObjects = results.filter(item => item.type !== 'package').slice(0, 10);
+            const matchingPackages = results.filter(item => item.type === 'package').slice(0, 3);
+            let optionId = 0;
+            let resultsHTML = '';
+            if (matchingAbstractsAndObjects.length > 0) {
+                resultsHTML += '<div class="search-category" role="group" aria-labelledby="search-group-items"><h4 id="search-group-items" role="presentation">Abstracts & Objects</h4><ul role="presentation">';
+                matchingAbstractsAndObjects.forEach(item => {
+                    let pathDisplay = item.package;
+                    if (item.path) {
+                        pathDisplay += ' › ' + item.path;
                     }
-                }
+                    resultsHTML += \`<li role="presentation">
+                        <a href="\${item.url}" class="search-result-link" data-item-type="\${item.type}" role="option" id="search-option-\${optionId++}" aria-selected="false" tabindex="-1">
+                            <span class="result-name">\${escapeHtml(item.name)} <span class="result-item-type">(\${item.type})</span></span>
+                            <span class="result-path">\${escapeHtml(pathDisplay)}</span>
+                        </a>
+                    </li>\`;
+                });
+                resultsHTML += '</ul></div>';
+            }
+            if (matchingPackages.length > 0) {
+                resultsHTML += '<div class="search-category" role="group" aria-labelledby="search-group-packages"><h4 id="search-group-packages" role="presentation">Packages</h4><ul role="presentation">';
+                matchingPackages.forEach(item => {
+                    resultsHTML += \`<li role="presentation">
+                        <a href="\${item.url}" class="search-result-link" role="option" id="search-option-\${optionId++}" aria-selected="false" tabindex="-1">
+                            <span class="result-name">\${escapeHtml(item.name)}</span>
+                            <span class="result-path">package</span>
+                        </a>
+                    </li>\`;
+                });
+                resultsHTML += '</ul></div>';
+            }
+            if (matchingAbstractsAndObjects.length === 0 && matchingPackages.length === 0) {
+                resultsHTML = '<div class="no-results" role="option" aria-disabled="true">No matches found</div>';
+            }
+            resultsHTML += \`<div class="full-text-search" role="presentation">
+                <a href="search.html?q=\${encodeURIComponent(query)}" role="option" id="search-option-\${optionId++}" aria-selected="false" tabindex="-1">
+                    Show all results
+                </a>
+            </div>\`;
+            showResults(resultsHTML);
+
+            const searchResultLinks = searchResultsContainer.querySelectorAll('.search-result-link');
+            searchResultLinks.forEach(link => {
+                link.addEventListener('click', function(e) {
+                    openResult(this, e);
+                });
             });
+        }).catch(() => {
+            showResults('<div class="no-results" role="option" aria-disabled="true">The search index could not be loaded</div>');
         });
     });
     document.addEventListener('click', function(event) {
         if (!searchInput.contains(event.target) && 
             !searchResultsContainer.contains(event.target) &&
             !searchButton.contains(event.target)) {
-            searchResultsContainer.style.display = 'none';
+            hideResults();
         }
     });
     searchButton.addEventListener('click', function() {
@@ -836,12 +2107,49 @@ document.addEventListener('DOMContentLoaded', function() {
             window.location.href = \`search.html?q=\${encodeURIComponent(query)}\`;
         }
     });
-    searchInput.addEventListener('keypress', function(e) {
-        if (e.key === 'Enter') {
+    searchInput.addEventListener('keydown', function(e) {
+        const isOpen = searchResultsContainer.style.display === 'block';
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (!isOpen) return;
+            e.preventDefault();
+            const count = resultOptions().length;
+            setActive(e.key === 'ArrowDown' ? activeIndex + 1 : (activeIndex <= 0 ? count - 1 : activeIndex - 1));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const options = resultOptions();
+            if (isOpen && activeIndex !== -1 && options[activeIndex]) {
+                const option = options[activeIndex];
+                if (option.classList.contains('search-result-link')) {
+                    openResult(option, null);
+                } else {
+                    window.location.href = option.getAttribute('href');
+                }
+                return;
+            }
             const query = this.value.trim();
             if (query.length > 0) {
                 window.location.href = \`search.html?q=\${encodeURIComponent(query)}\`;
             }
+        } else if (e.key === 'Escape') {
+            if (isOpen) {
+                e.preventDefault();
+                hideResults();
+            } else {
+                this.blur();
+            }
+        }
+    });
+    document.addEventListener('keydown', function(e) {
+        const target = e.target;
+        const isTyping = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+        if ((e.key === 'k' || e.key === 'K') && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            searchInput.focus();
+            searchInput.select();
+        } else if (e.key === '/' && !isTyping && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            searchInput.focus();
+            searchInput.select();
         }
     });
     
@@ -864,81 +2172,7 @@ document.addEventListener('DOMContentLoaded', function() {
 `;
 }
 
-function generateSearchPage(allPackages) {
-    const searchableData = [];
-    const cleanStr = str => str ? String(str)
-        .replace(/\\n|\n/g, ' ')
-        .replace(/```([\s\S]*?)```/g, '$1')
-        .replace(/`([^`]+?)`/g, '$1')
-        .replace(/!?\[([^\]]*)\]\([^\)]*\)/g, '$1')
-        .replace(/^#{1,6}\s+|^>\s*|^\s*[-*+]\s+|^\s*\d+\.\s+|(---|___|\*\*\*)\s*$/gm, '')
-        .replace(/(\*\*|__)(.*?)\1|(\*|_)(.*?)\3|~~(.*?)~~/g, '$2$4$5')
-        .replace(/\s+/g, ' ')
-        .trim() : '';
-    
-    Object.keys(allPackages).forEach(pkgName => {
-        if (pkgName) {
-            searchableData.push({
-                type: 'package',
-                name: pkgName,
-                url: `package_${sanitizeFileName(pkgName)}.html`,
-                content: `Package ${pkgName}`
-            });
-        }
-    });
-    
-    Object.keys(allPackages).forEach(pkgName => {
-        allPackages[pkgName].abstracts.forEach(abstract => {
-            searchableData.push({
-                type: 'abstract',
-                name: abstract.name,
-                package: pkgName || '(default)',
-                url: `package_${sanitizeFileName(pkgName)}.html#${encodeURIComponent(abstract.uniqueId)}`,
-                content: cleanStr(abstract.comments || '')
-            });
-            if (abstract.childObjects && abstract.childObjects.length > 0) {
-                abstract.childObjects.forEach(obj => {
-                    searchableData.push({
-                        type: 'object',
-                        name: obj.name,
-                        package: pkgName || '(default)',
-                        parent: abstract.name,
-                        url: `package_${sanitizeFileName(pkgName)}.html#${encodeURIComponent(abstract.uniqueId)}`,
-                        content: cleanStr(obj.comments || '')
-                    });
-                });
-            }
-            function processNestedAbstracts(parentAbstract) {
-                if (parentAbstract.childrenAbstracts && parentAbstract.childrenAbstracts.length > 0) {
-                    parentAbstract.childrenAbstracts.forEach(childAbstract => {
-                        searchableData.push({
-                            type: 'abstract',
-                            name: childAbstract.name,
-                            package: pkgName || '(default)',
-                            parent: parentAbstract.name,
-                            url: `package_${sanitizeFileName(pkgName)}.html#${encodeURIComponent(childAbstract.uniqueId)}`,
-                            content: cleanStr(childAbstract.comments || '')
-                        });
-                        if (childAbstract.childObjects && childAbstract.childObjects.length > 0) {
-                            childAbstract.childObjects.forEach(obj => {
-                                searchableData.push({
-                                    type: 'object',
-                                    name: obj.name,
-                                    package: pkgName || '(default)',
-                                    parent: childAbstract.name,
-                                    parentPath: parentAbstract.name + ' › ' + childAbstract.name,
-                                    url: `package_${sanitizeFileName(pkgName)}.html#${encodeURIComponent(childAbstract.uniqueId)}`,
-                                    content: cleanStr(obj.comments || '')
-                                });
-                            });
-                        }
-                        processNestedAbstracts(childAbstract);
-                    });
-                }
-            }
-            processNestedAbstracts(abstract);
-        });
-    });
+function generateSearchPage(data, theme) {
     return `<!DOCTYPE html>
 <html>
 <head>
@@ -964,7 +2198,7 @@ function generateSearchPage(allPackages) {
         <header>
             <div class="header-content">
                 <h1>Search Results</h1>
-                ${generateSearchBarHTML()}
+                ${theme.searchBar({}, theme)}
             </div>
         </header>
         
@@ -972,6 +2206,8 @@ function generateSearchPage(allPackages) {
             <div class="search-info">
                 <p>Enter a search term to find items in documentation.</p>
             </div>
+            <p class="search-syntax">Narrow the search with <code>type:abstract</code>, <code>type:object</code>, <code>type:package</code>, <code>pkg:org.eolang</code>, <code>parent:number</code>, <code>"exact phrase"</code> and <code>-excluded</code>.</p>
+            <div id="search-facets" class="search-facets"></div>
             <div id="search-results-list" class="search-results-list"></div>
         </div>
         
@@ -980,14 +2216,23 @@ function generateSearchPage(allPackages) {
         </footer>
     </div>
     
+    <script src="search.js"></script>
     <script>
-        const searchableData = ${JSON.stringify(searchableData)};
         document.addEventListener('DOMContentLoaded', function() {
             const params = new URLSearchParams(window.location.search);
             const query = params.get('q');
             const searchInput = document.getElementById('global-search');
             const resultsContainer = document.getElementById('search-results-list');
+            const facetsContainer = document.getElementById('search-facets');
             const searchInfo = document.querySelector('.search-info');
+            const hiddenFacets = { type: new Set(), root: new Set() };
+            const facetGroups = [
+                { key: 'type', title: 'Type', valueOf: result => result.type },
+                { key: 'root', title: 'Package', valueOf: result => (result.type === 'package' ? result.name : result.package).split('.')[0] }
+            ];
+            let currentQuery = '';
+            let currentTokens = [];
+            let currentResults = [];
             if (searchInput && query) {
                 searchInput.value = query;
                 performSearch(query);
@@ -997,26 +2242,72 @@ function generateSearchPage(allPackages) {
                     searchInfo.innerHTML = '<p>Please enter at least 2 characters to search.</p>';
                     return;
                 }
-                const normalizedQuery = query.trim().toLowerCase();
-                const results = searchableData.filter(item => {
-                    return item.name.toLowerCase().includes(normalizedQuery) || 
-                           (item.content && item.content.toLowerCase().includes(normalizedQuery));
+                const parsed = window.autodocSearch.parse(query);
+                const tokens = window.autodocSearch.tokenize(parsed.words.concat(parsed.phrases).join(' '));
+                searchInfo.innerHTML = '<p>Searching...</p>';
+                window.autodocSearch.load().then(index => {
+                    currentQuery = query;
+                    currentTokens = tokens;
+                    currentResults = window.autodocSearch.search(index, parsed);
+                    renderFacets();
+                    renderResults();
+                }).catch(() => {
+                    searchInfo.innerHTML = '<p>The search index could not be loaded.</p>';
+                });
+            }
+            function renderFacets() {
+                if (currentResults.length === 0) {
+                    facetsContainer.innerHTML = '';
+                    return;
+                }
+                facetsContainer.innerHTML = facetGroups.map(group => {
+                    const counts = new Map();
+                    currentResults.forEach(result => {
+                        const value = group.valueOf(result);
+                        counts.set(value, (counts.get(value) || 0) + 1);
+                    });
+                    return \`<fieldset class="search-facet">
+                        <legend>\${group.title}</legend>
+                        \${Array.from(counts).sort((a, b) => a[0].localeCompare(b[0])).map(([value, count]) => \`<label>
+                            <input type="checkbox" data-facet="\${group.key}" value="\${escapeHtml(value)}"\${hiddenFacets[group.key].has(value) ? '' : ' checked'}>
+                            \${escapeHtml(value)} <span class="facet-count">(\${count})</span>
+                        </label>\`).join('')}
+                    </fieldset>\`;
+                }).join('');
+                facetsContainer.querySelectorAll('input[type="checkbox"]').forEach(input => {
+                    input.addEventListener('change', function() {
+                        if (this.checked) {
+                            hiddenFacets[this.dataset.facet].delete(this.value);
+                        } else {
+                            hiddenFacets[this.dataset.facet].add(this.value);
+                        }
+                        renderResults();
+                    });
                 });
-                if (results.length === 0) {
+            }
+            function renderResults() {
+                const query = currentQuery;
+                const tokens = currentTokens;
+                if (currentResults.length === 0) {
                     searchInfo.innerHTML = '<p>No results found for "' + escapeHtml(query) + '"</p>';
                     resultsContainer.innerHTML = '';
                     return;
                 }
-                searchInfo.innerHTML = '<p>Found ' + results.length + ' results for "' + escapeHtml(query) + '"</p>';
+                const results = currentResults.filter(result => facetGroups.every(group => !hiddenFacets[group.key].has(group.valueOf(result))));
+                searchInfo.innerHTML = results.length === currentResults.length ?
+                    '<p>Found ' + results.length + ' results for "' + escapeHtml(query) + '"</p>' :
+                    '<p>Showing ' + results.length + ' of ' + currentResults.length + ' results for "' + escapeHtml(query) + '"</p>';
                 let resultsHTML = '';
                 results.forEach(result => {
                     let contentPreview = '';
                     if (result.content) {
                         const content = result.content;
-                        const index = content.toLowerCase().indexOf(normalizedQuery);
+                        const lowerContent = content.toLowerCase();
+                        const positions = tokens.map(token => lowerContent.indexOf(token)).filter(position => position !== -1);
+                        const index = positions.length > 0 ? Math.min(...positions) : -1;
                         if (index !== -1) {
                             const startPos = Math.max(0, index - 50);
-                            const endPos = Math.min(content.length, index + normalizedQuery.length + 50);
+                            const endPos = Math.min(content.length, index + 100);
                             let preview = content.substring(startPos, endPos);
                             if (startPos > 0) {
                                 preview = '...' + preview;
@@ -1024,8 +2315,7 @@ function generateSearchPage(allPackages) {
                             if (endPos < content.length) {
                                 preview = preview + '...';
                             }
-                            const regex = new RegExp('(' + escapeRegExp(normalizedQuery) + ')', 'gi');
-                            contentPreview = escapeHtml(preview).replace(regex, '<mark>$1</mark>');
+                            contentPreview = highlightMatch(escapeHtml(preview), tokens);
                         } else {
                             contentPreview = escapeHtml(content.substring(0, 100)) + (content.length > 100 ? '...' : '');
                         }
@@ -1040,16 +2330,16 @@ function generateSearchPage(allPackages) {
                         }
                     } else {
                         resultPath = result.package || '';
-                        resultPath += result.parentPath ? ' › ' + result.parentPath : (result.parent ? ' › ' + result.parent : '');
+                        resultPath += result.path ? ' › ' + result.path : '';
                     }
                     
                     resultsHTML += \`<div class="search-result-item">
                         <h3>
-                            <a href="\${result.url}" class="search-result-link" data-item-type="\${result.type}">\${highlightMatch(escapeHtml(result.name), normalizedQuery)}</a>
+                            <a href="\${result.url}" class="search-result-link" data-item-type="\${result.type}">\${highlightMatch(escapeHtml(result.name), tokens)}</a>
                             <span class="result-type \${result.type}-type">\${result.type}</span>
                         </h3>
                         <div class="result-path">
-                            \${resultPath}
+                            \${escapeHtml(resultPath)}
                         </div>
                         \${contentPreview ? \`<div class="result-preview">\${contentPreview}</div>\` : ''}
                     </div>\`;
@@ -1076,41 +2366,673 @@ function generateSearchPage(allPackages) {
                 });
             }
             function escapeHtml(text) {
-                const div = document.createElement('div');
-                div.textContent = text;
-                return div.innerHTML;
+                return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
             }
             function escapeRegExp(string) {
                 return string.replace(/[.*+?^$\\{}()|[\\]\\\\]/g, '\\\\$&');
             }
-            function highlightMatch(text, query) {
-                const regex = new RegExp('(' + escapeRegExp(query) + ')', 'gi');
+            function highlightMatch(text, tokens) {
+                if (tokens.length === 0) return text;
+                const regex = new RegExp('(' + tokens.map(escapeRegExp).join('|') + ')', 'gi');
                 return text.replace(regex, '<mark>$1</mark>');
             }
         });
     </script>
-    <script src="search.js"></script>
 </body>
 </html>`;
 }
 
-async function generateCSS() {
-    const cssContent = `
-body {
-    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-    margin: 0;
-    padding: 0;
-    background-color: #f4f4f4;
-    color: #333;
-    line-height: 1.6;
+function markdownPageName(pkgName) {
+    return packagePageName(pkgName, 'md');
 }
 
-.sidebar {
-    position: fixed;
-    width: 300px;
-    height: 100%;
-    top: 0;
-    background-color: #ffffff;
+function markdownText(text) {
+    return escapeHtml(text).replace(/[\\`*_[\]|~#]/g, '\\$&');
+}
+
+function markdownCode(text) {
+    const longest = Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    return longest > 0 ? `${fence} ${text} ${fence}` : `${fence}${text}${fence}`;
+}
+
+function markdownCodeBlock(text) {
+    const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    return `${fence}\n${text}\n${fence}`;
+}
+
+function markdownCell(text, refs, markdown) {
+    return markdown.sanitize(preprocessMarkdown(text, refs)).trim()
+        .replace(/\|/g, '\\|')
+        .replace(/\n/g, '<br>');
+}
+
+function markdownBase(base, scope, pkgName, allPackages) {
+    const resolved = resolveBase(base, scope, pkgName, allPackages);
+    if (!resolved) {
+        return '';
+    }
+    if (resolved.kind === 'abstract') {
+        return `[${markdownCode(base)}](${abstractUrl(resolved.pkgName, resolved.abstract, 'md')})`;
+    }
+    return `${markdownCode(base)} (${markdownText(resolved.title.toLowerCase())})`;
+}
+
+function renderAbstractMarkdown(abs, pkgName, allPackages, level, markdown) {
+    const heading = '#'.repeat(Math.min(level, 6));
+    const subheading = '#'.repeat(Math.min(level + 1, 6));
+    const params = abs.params || [];
+    const lines = [
+        `<a id="${escapeHtml(abs.uniqueId)}"></a>`,
+        '',
+        `${heading} ${markdownText(abs.name)}${abs.isQuestion ? ' (?)' : ''}`,
+        '',
+        markdownCodeBlock(`[${params.map(param => param.name).join(' ')}] > ${abs.name}`),
+        ''
+    ];
+    const base = markdownBase(abs.base, abs.parent, pkgName, allPackages);
+    if (base) {
+        lines.push(`Base: ${base}`, '');
+    }
+    const decoratee = markdownBase(abs.decoratee, abs, pkgName, allPackages);
+    if (decoratee) {
+        lines.push(`Decorates: ${decoratee}`, '');
+    }
+    const { decoratedBy, usedBy } = relationsOfAbstract(allPackages, abs);
+    if (decoratedBy.length > 0) {
+        lines.push(`Decorated by: ${decoratedBy.map(item => `[${markdownCode(item.abstract.uniqueId)}](${abstractUrl(item.pkgName, item.abstract, 'md')})`).join(', ')}`, '');
+    }
+    if (abs.repositoryUrl) {
+        lines.push(`[View on repository](${abs.repositoryUrl})`, '');
+    }
+    const tags = abs.tags;
+    const refs = { scope: abs, pkgName, allPackages, ext: 'md' };
+    const md = text => markdown.sanitize(preprocessMarkdown(text, refs)).trim();
+    if (isDeprecated(abs)) {
+        lines.push(`> **Deprecated.** ${md(tags.deprecated)}`.trim(), '');
+    }
+    if (tags && tags.since) {
+        lines.push(`_Since ${markdownText(tags.since)}_`, '');
+    }
+    lines.push(abs.comments ? md(abs.comments) : '_No description_', '');
+    if (tags && tags.returns) {
+        lines.push(`**Returns:** ${md(tags.returns)}`, '');
+    }
+    if (tags) {
+        tags.examples.forEach(example => {
+            lines.push('Example:', '', /'''|```/.test(example) ? md(example) : markdownCodeBlock(example), '');
+        });
+        if (tags.see.length > 0) {
+            lines.push('See also:', '');
+            tags.see.forEach(({ target, label }) => {
+                const link = /^https?:\/\//.test(target) ? `<${target}>` : markdownBase(target, abs, pkgName, allPackages);
+                lines.push(`- ${link}${label ? ` — ${md(label)}` : ''}`);
+            });
+            lines.push('');
+        }
+    }
+    if (usedBy.length > 0) {
+        lines.push(`Used by (${usedBy.length}):`, '');
+        [...new Set(usedBy.map(item => item.pkgName))].forEach(usingPkg => {
+            const items = usedBy.filter(item => item.pkgName === usingPkg);
+            lines.push(`- ${markdownText(usingPkg || '(default)')}: ${items.map(item => `[${markdownCode(referenceLabel(item))}](${abstractUrl(item.pkgName, item.abstract, 'md')})`).join(', ')}`);
+        });
+        lines.push('');
+    }
+    if (params.length > 0) {
+        lines.push(`${subheading} Parameters of ${markdownText(abs.name)}`, '', '| Name | Description |', '| --- | --- |');
+        params.forEach(param => {
+            lines.push(`| ${markdownCode(param.name).replace(/\|/g, '\\|')} | ${param.comments ? markdownCell(param.comments, refs, markdown) : 'No description'} |`);
+        });
+        lines.push('');
+    }
+    if (abs.childObjects.length > 0) {
+        lines.push(`${subheading} Objects of ${markdownText(abs.name)}`, '', '| Name | Base | Description |', '| --- | --- | --- |');
+        abs.childObjects.forEach(obj => {
+            const name = `${isDeprecated(obj) ? '~~' : ''}${markdownCode(obj.name)}${isDeprecated(obj) ? '~~' : ''}${obj.isQuestion ? ' (?)' : ''}`;
+            const nameCell = obj.repositoryUrl ? `[${name}](${obj.repositoryUrl})` : name;
+            const baseCell = markdownBase(obj.base, abs, pkgName, allPackages) || '—';
+            lines.push(`| ${nameCell.replace(/\|/g, '\\|')} | ${baseCell.replace(/\|/g, '\\|')} | ${obj.comments ? markdownCell(obj.comments, refs, markdown) : 'No description'} |`);
+        });
+        lines.push('');
+    }
+    abs.childrenAbstracts.forEach(child => {
+        lines.push(renderAbstractMarkdown(child, pkgName, allPackages, level + 1, markdown));
+    });
+    return lines.join('\n');
+}
+
+function generatePackageMarkdown(pkgName, pkgData, allPackages, markdown) {
+    const packageParts = pkgName.split('.');
+    const parentPackage = packageParts.length > 1 ? packageParts.slice(0, -1).join('.') : null;
+    const childPackages = Object.keys(allPackages).filter(p => {
+        return p.startsWith(pkgName + '.') && p.split('.').length === packageParts.length + 1;
+    }).sort();
+    const lines = [`# Package: ${markdownText(pkgName || '(default)')}`, '', '[All Packages](index.md)'];
+    if (parentPackage) {
+        lines.push('', `Parent Package: [${markdownText(parentPackage)}](${markdownPageName(parentPackage)})`);
+    }
+    lines.push('');
+    if (childPackages.length > 0) {
+        lines.push('## Child Packages', '');
+        childPackages.forEach(cp => lines.push(`- [${markdownText(cp)}](${markdownPageName(cp)})`));
+        lines.push('');
+    }
+    if (pkgData.sources.length > 0) {
+        lines.push('## Source Files', '');
+        pkgData.sources.forEach(source => {
+            lines.push(`- ${markdownCode(source.file)}`);
+            const groups = groupMetas(source.metas);
+            Object.keys(groups).forEach(head => {
+                lines.push(`  - ${markdownText(META_LABELS[head] || `+${head}`)}: ${groups[head].map(meta => markdownCode(meta.tail)).join(', ')}`);
+            });
+        });
+        lines.push('');
+    }
+    if (pkgData.abstracts.length > 0) {
+        lines.push('## Abstracts in this Package', '');
+        pkgData.abstracts.forEach(abs => {
+            lines.push(renderAbstractMarkdown(abs, pkgName, allPackages, 3, markdown));
+        });
+    } else {
+        lines.push('No abstracts found in this package', '');
+    }
+    return lines.join('\n');
+}
+
+function generatePackagesMarkdown(allPackages) {
+    const packageNames = Object.keys(allPackages).sort();
+    const lines = ['# Packages Catalog', ''];
+    packageNames.forEach(p => {
+        const depth = p ? p.split('.').length - 1 : 0;
+        lines.push(`${'  '.repeat(depth)}- [${markdownText(p || '(default)')}](${markdownPageName(p)}) (${allPackages[p].abstracts.length} abstracts)`);
+    });
+    lines.push('');
+    return lines.join('\n');
+}
+
+async function writeMarkdownOutput(ctx, packages) {
+    await writeOutputFile(ctx, 'index.md', generatePackagesMarkdown(packages));
+    for (const pkgName of Object.keys(packages)) {
+        await writeOutputFile(ctx, markdownPageName(pkgName), generatePackageMarkdown(pkgName, packages[pkgName], packages, ctx.markdown));
+    }
+}
+
+const JSON_SCHEMA_VERSION = 1;
+
+function buildJsonModel(allPackages) {
+    const abstracts = [];
+    const collect = (abs, pkgName) => {
+        abstracts.push({
+            id: abs.uniqueId,
+            name: abs.name,
+            package: pkgName,
+            parent: abs.parent ? abs.parent.uniqueId : null,
+            sourceFile: rootAbstractOf(abs).sourceFile,
+            line: abs.line,
+            pos: abs.pos,
+            base: abs.base || null,
+            decoratee: abs.decoratee || null,
+            comments: abs.comments,
+            isQuestion: Boolean(abs.isQuestion),
+            tags: abs.tags || null,
+            repositoryUrl: abs.repositoryUrl || null,
+            params: (abs.params || []).map(param => ({
+                name: param.name,
+                line: param.line,
+                pos: param.pos,
+                comments: param.comments
+            })),
+            objects: abs.childObjects.map(obj => ({
+                name: obj.name,
+                line: obj.line,
+                pos: obj.pos,
+                base: obj.base || null,
+                comments: obj.comments,
+                isQuestion: Boolean(obj.isQuestion),
+                tags: obj.tags || null,
+                repositoryUrl: obj.repositoryUrl || null
+            })),
+            abstracts: abs.childrenAbstracts.map(child => child.uniqueId),
+            usedBy: relationsOfAbstract(allPackages, abs).usedBy.map(item => ({
+                package: item.pkgName,
+                abstract: item.abstract.uniqueId,
+                object: item.name
+            }))
+        });
+        abs.childrenAbstracts.forEach(child => collect(child, pkgName));
+    };
+    const packages = Object.keys(allPackages).sort().map(pkgName => {
+        const pkg = allPackages[pkgName];
+        pkg.abstracts.forEach(abs => collect(abs, pkgName));
+        return {
+            name: pkgName,
+            parent: pkgName.includes('.') ? pkgName.split('.').slice(0, -1).join('.') : null,
+            sources: pkg.sources.map(source => ({
+                file: source.file,
+                eoFile: source.eoFile || null,
+                metas: source.metas
+            })),
+            abstracts: pkg.abstracts.map(abs => abs.uniqueId)
+        };
+    });
+    return {
+        schemaVersion: JSON_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        packages,
+        abstracts
+    };
+}
+
+function generateJSON(allPackages) {
+    return JSON.stringify(buildJsonModel(allPackages), null, 2);
+}
+
+const COVERAGE_KINDS = {
+    abstracts: 'Abstracts',
+    nestedAbstracts: 'Nested abstracts',
+    objects: 'Objects',
+    params: 'Parameters'
+};
+
+function coverageCounter() {
+    return { documented: 0, total: 0, percent: null };
+}
+
+function countDocumented(counter, documented) {
+    counter.total++;
+    if (documented) {
+        counter.documented++;
+    }
+}
+
+function finishCounter(counter) {
+    counter.percent = counter.total > 0 ? Math.round(counter.documented / counter.total * 1000) / 10 : null;
+    return counter;
+}
+
+function emptyCoverage() {
+    const coverage = { total: coverageCounter() };
+    Object.keys(COVERAGE_KINDS).forEach(kind => {
+        coverage[kind] = coverageCounter();
+    });
+    return coverage;
+}
+
+function computeCoverage(allPackages) {
+    const packages = {};
+    const overall = emptyCoverage();
+    Object.keys(allPackages).sort().forEach(pkgName => {
+        const coverage = emptyCoverage();
+        const count = (kind, item) => {
+            const documented = Boolean(item.comments && item.comments.trim());
+            countDocumented(coverage[kind], documented);
+            countDocumented(coverage.total, documented);
+            countDocumented(overall[kind], documented);
+            countDocumented(overall.total, documented);
+        };
+        const walk = (abs, kind) => {
+            count(kind, abs);
+            (abs.params || []).forEach(param => count('params', param));
+            abs.childObjects.forEach(obj => count('objects', obj));
+            abs.childrenAbstracts.forEach(child => walk(child, 'nestedAbstracts'));
+        };
+        allPackages[pkgName].abstracts.forEach(abs => walk(abs, 'abstracts'));
+        Object.values(coverage).forEach(finishCounter);
+        packages[pkgName] = coverage;
+    });
+    Object.values(overall).forEach(finishCounter);
+    return { packages, overall };
+}
+
+function formatPercent(counter) {
+    return counter.percent === null ? '—' : `${counter.percent.toFixed(1)}%`;
+}
+
+function formatCoverageText(coverage) {
+    const kinds = ['total', ...Object.keys(COVERAGE_KINDS)];
+    const header = ['Package', 'Total', ...Object.values(COVERAGE_KINDS)];
+    const rows = Object.keys(coverage.packages)
+        .filter(pkgName => coverage.packages[pkgName].total.total > 0)
+        .map(pkgName => [pkgName || '(default)', ...kinds.map(kind => formatPercent(coverage.packages[pkgName][kind]))]);
+    rows.push(['Overall', ...kinds.map(kind => formatPercent(coverage.overall[kind]))]);
+    const widths = header.map((cell, i) => Math.max(cell.length, ...rows.map(row => row[i].length)));
+    const line = row => row.map((cell, i) => i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  ');
+    return [line(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+}
+
+function collectDeprecated(allPackages) {
+    const items = [];
+    const walk = (abs, pkgName) => {
+        if (isDeprecated(abs)) {
+            items.push({ type: 'abstract', name: abs.name, id: abs.uniqueId, pkgName, message: abs.tags.deprecated, url: abstractUrl(pkgName, abs) });
+        }
+        abs.childObjects.filter(isDeprecated).forEach(obj => {
+            items.push({ type: 'object', name: obj.name, id: `${abs.uniqueId}.${obj.name}`, pkgName, message: obj.tags.deprecated, url: abstractUrl(pkgName, abs) });
+        });
+        abs.childrenAbstracts.forEach(child => walk(child, pkgName));
+    };
+    Object.keys(allPackages).sort().forEach(pkgName => allPackages[pkgName].abstracts.forEach(abs => walk(abs, pkgName)));
+    return items;
+}
+
+function generateDeprecatedPage(data, theme) {
+    const { deprecated } = data;
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <title>Deprecated</title>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+    <div class="sidebar" id="doc-sidebar">
+        <div class="sidebar-header">
+            <h2>Navigation</h2>
+        </div>
+        <div class="sidebar-section">
+            <h3 class="sidebar-title">Navigation</h3>
+            <ul class="sidebar-list">
+                <li class="sidebar-item"><a href="packages.html" class="sidebar-link">All Packages</a></li>
+            </ul>
+        </div>
+    </div>
+
+    <div class="content-wrapper">
+        <header>
+            <div class="header-content">
+                <h1>Deprecated</h1>
+                ${theme.searchBar({}, theme)}
+            </div>
+        </header>
+        ${deprecated.length > 0 ? `
+        <table>
+            <thead>
+                <tr>
+                    <th>Name</th>
+                    <th>Package</th>
+                    <th>Description</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${deprecated.map(item => `
+                <tr>
+                    <td class="deprecated"><a href="${item.url}" class="search-result-link" data-item-type="${item.type}">${escapeHtml(item.id.slice(item.pkgName ? item.pkgName.length + 1 : 0))}</a> <span class="result-item-type">(${item.type})</span></td>
+                    <td>${escapeHtml(item.pkgName || '(default)')}</td>
+                    <td class="table-description">${item.message ? theme.markdown.parse(preprocessMarkdown(item.message)) : 'No description'}</td>
+                </tr>`).join('\n')}
+            </tbody>
+        </table>` : '<p>Nothing is deprecated.</p>'}
+        <footer>
+            <p>Generated on ${new Date().toLocaleString()}</p>
+        </footer>
+    </div>
+    
+    <script src="search.js"></script>
+    <script>
+        document.addEventListener('DOMContentLoaded', function() {
+            document.querySelectorAll('.search-result-link').forEach(link => {
+                link.addEventListener('click', function() {
+                    const hashFragment = this.getAttribute('href').split('#')[1];
+                    if (hashFragment) {
+                        sessionStorage.setItem('expandTarget', decodeURIComponent(hashFragment));
+                        if (this.dataset.itemType === 'object') {
+                            sessionStorage.setItem('expandTargetType', 'object');
+                        } else {
+                            sessionStorage.removeItem('expandTargetType');
+                        }
+                    }
+                });
+            });
+        });
+    </script>
+</body>
+</html>`;
+}
+
+function generateCoveragePage(data, theme) {
+    const { coverage, minCoverage } = data;
+    const kinds = ['total', ...Object.keys(COVERAGE_KINDS)];
+    const cell = counter => `<td class="coverage-cell${counter.percent === null ? '' : counter.percent >= 80 ? ' coverage-high' : counter.percent >= 50 ? ' coverage-medium' : ' coverage-low'}">${formatPercent(counter)} <span class="object-count">${counter.documented}/${counter.total}</span></td>`;
+    const rows = Object.keys(coverage.packages)
+        .filter(pkgName => coverage.packages[pkgName].total.total > 0)
+        .map(pkgName => `
+                    <tr>
+                        <td><a href="${packagePageName(pkgName)}">${escapeHtml(pkgName || '(default)')}</a></td>
+                        ${kinds.map(kind => cell(coverage.packages[pkgName][kind])).join('')}
+                    </tr>`).join('');
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <title>Documentation Coverage</title>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+    <div class="sidebar" id="doc-sidebar">
+        <div class="sidebar-header">
+            <h2>Navigation</h2>
+        </div>
+        <div class="sidebar-section">
+            <h3 class="sidebar-title">Navigation</h3>
+            <ul class="sidebar-list">
+                <li class="sidebar-item"><a href="packages.html" class="sidebar-link">All Packages</a></li>
+            </ul>
+        </div>
+    </div>
+
+    <div class="content-wrapper">
+        <header>
+            <div class="header-content">
+                <h1>Documentation Coverage</h1>
+                ${theme.searchBar({}, theme)}
+            </div>
+        </header>
+        <p class="coverage-summary">Overall: <strong>${formatPercent(coverage.overall.total)}</strong> of ${coverage.overall.total.total} items documented${minCoverage !== null ? ` (minimum: ${minCoverage}%)` : ''}</p>
+        <table class="coverage-table">
+            <thead>
+                <tr>
+                    <th>Package</th>
+                    <th>Total</th>
+                    ${Object.values(COVERAGE_KINDS).map(label => `<th>${label}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>${rows}
+                <tr class="coverage-overall">
+                    <td>Overall</td>
+                    ${kinds.map(kind => cell(coverage.overall[kind])).join('')}
+                </tr>
+            </tbody>
+        </table>
+        <footer>
+            <p>Generated on ${new Date().toLocaleString()}</p>
+        </footer>
+    </div>
+    
+    <script src="search.js"></script>
+</body>
+</html>`;
+}
+
+const GRAPH_NODE_HEIGHT = 32;
+const GRAPH_ROW_GAP = 70;
+const GRAPH_NODE_GAP = 24;
+const GRAPH_CHAR_WIDTH = 7.2;
+const GRAPH_PADDING = 20;
+
+function graphPageName(pkgName) {
+    return `graph_${encodePageName(pkgName)}.html`;
+}
+
+function buildPackageGraph(pkgName, allPackages) {
+    const nodes = new Map();
+    const edges = [];
+    const node = item => {
+        if (!nodes.has(item.abstract)) {
+            const external = item.pkgName !== pkgName;
+            const label = external || !pkgName ? item.abstract.uniqueId : item.abstract.uniqueId.slice(pkgName.length + 1);
+            nodes.set(item.abstract, { ...item, label, external, out: [] });
+        }
+        return nodes.get(item.abstract);
+    };
+    const edge = (from, to, kind) => {
+        if (from !== to && !edges.some(e => e.from === from && e.to === to && e.kind === kind)) {
+            edges.push({ from, to, kind });
+            from.out.push(to);
+        }
+    };
+    const visit = abs => {
+        const own = node({ pkgName, abstract: abs });
+        const relations = relationsOfAbstract(allPackages, abs);
+        if (relations.decorates) {
+            edge(own, node(relations.decorates), 'decoration');
+        }
+        relations.composes.forEach(part => edge(own, node(part), 'composition'));
+        relations.decoratedBy
+            .filter(item => item.pkgName !== pkgName)
+            .forEach(item => edge(node(item), own, 'decoration'));
+        abs.childrenAbstracts.forEach(visit);
+    };
+    allPackages[pkgName].abstracts.forEach(visit);
+    return { nodes: [...nodes.values()], edges };
+}
+
+function layoutGraph(graph) {
+    const ranks = new Map();
+    const rankOf = (node, path = new Set()) => {
+        if (ranks.has(node)) return ranks.get(node);
+        if (path.has(node)) return 0;
+        path.add(node);
+        const rank = node.out.reduce((max, next) => Math.max(max, rankOf(next, path) + 1), 0);
+        path.delete(node);
+        ranks.set(node, rank);
+        return rank;
+    };
+    graph.nodes.forEach(node => rankOf(node));
+    const maxRank = Math.max(0, ...ranks.values());
+    const rows = [];
+    graph.nodes.forEach(node => {
+        const row = maxRank - ranks.get(node);
+        (rows[row] = rows[row] || []).push(node);
+        node.width = Math.round(node.label.length * GRAPH_CHAR_WIDTH) + 2 * GRAPH_PADDING;
+    });
+    const rowWidth = row => row.reduce((sum, node) => sum + node.width, 0) + GRAPH_NODE_GAP * (row.length - 1);
+    const width = Math.max(0, ...rows.filter(Boolean).map(rowWidth)) + 2 * GRAPH_PADDING;
+    rows.forEach((row, index) => {
+        if (!row) return;
+        row.sort((a, b) => Number(a.external) - Number(b.external) || a.label.localeCompare(b.label));
+        let x = (width - rowWidth(row)) / 2;
+        row.forEach(node => {
+            node.x = x;
+            node.y = GRAPH_PADDING + index * (GRAPH_NODE_HEIGHT + GRAPH_ROW_GAP);
+            x += node.width + GRAPH_NODE_GAP;
+        });
+    });
+    return { width, height: GRAPH_PADDING * 2 + rows.length * GRAPH_NODE_HEIGHT + Math.max(0, rows.length - 1) * GRAPH_ROW_GAP };
+}
+
+function renderGraphSvg(graph) {
+    const { width, height } = layoutGraph(graph);
+    const edgesSvg = graph.edges.map(({ from, to, kind }) => {
+        let x1 = from.x + from.width / 2;
+        let x2 = to.x + to.width / 2;
+        let y1 = from.y + GRAPH_NODE_HEIGHT;
+        let y2 = to.y;
+        if (to.y < from.y) {
+            y1 = from.y;
+            y2 = to.y + GRAPH_NODE_HEIGHT;
+        } else if (to.y === from.y) {
+            y1 = y2 = from.y + GRAPH_NODE_HEIGHT / 2;
+            x1 = to.x > from.x ? from.x + from.width : from.x;
+            x2 = to.x > from.x ? to.x : to.x + to.width;
+        }
+        return `<line class="graph-edge graph-edge-${kind}" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" marker-end="url(#graph-arrow-${kind})"><title>${escapeHtml(from.label)} ${kind === 'decoration' ? 'decorates' : 'has an attribute of'} ${escapeHtml(to.label)}</title></line>`;
+    }).join('\n');
+    const nodesSvg = graph.nodes.map(node => `<a href="${abstractUrl(node.pkgName, node.abstract)}">
+            <g class="graph-node${node.external ? ' graph-node-external' : ''}">
+                <rect x="${node.x}" y="${node.y}" width="${node.width}" height="${GRAPH_NODE_HEIGHT}" rx="4"/>
+                <text x="${node.x + node.width / 2}" y="${node.y + GRAPH_NODE_HEIGHT / 2 + 4}" text-anchor="middle">${escapeHtml(node.label)}</text>
+            </g>
+        </a>`).join('\n');
+    const marker = kind => `<marker id="graph-arrow-${kind}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto"><path class="graph-arrow-${kind}" d="M0,0 L10,5 L0,10 z"/></marker>`;
+    return `<svg class="graph" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        <defs>${marker('decoration')}${marker('composition')}</defs>
+        ${edgesSvg}
+        ${nodesSvg}
+    </svg>`;
+}
+
+function generateGraphPage(data, theme) {
+    const { pkgName, allPackages } = data;
+    const graph = buildPackageGraph(pkgName, allPackages);
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <title>Graph: ${escapeHtml(pkgName || '(default)')}</title>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+    <div class="sidebar" id="doc-sidebar">
+        <div class="sidebar-header">
+            <h2>Navigation</h2>
+        </div>
+        <div class="sidebar-section">
+            <h3 class="sidebar-title">Navigation</h3>
+            <ul class="sidebar-list">
+                <li class="sidebar-item"><a href="packages.html" class="sidebar-link">All Packages</a></li>
+                <li class="sidebar-item"><a href="${packagePageName(pkgName)}" class="sidebar-link">Package: ${escapeHtml(pkgName || '(default)')}</a></li>
+            </ul>
+        </div>
+    </div>
+
+    <div class="content-wrapper">
+        <header>
+            <div class="header-content">
+                <h1>Graph: ${escapeHtml(pkgName || '(default)')}</h1>
+                ${theme.searchBar({}, theme)}
+            </div>
+        </header>
+        <p class="graph-legend">
+            <span class="graph-legend-decoration">—▶</span> decorates (<code>@</code>)
+            <span class="graph-legend-composition">--▶</span> has an attribute of
+            <span class="graph-legend-external">▭</span> abstract from another package
+        </p>
+        ${graph.edges.length > 0 ? '' : '<p>No decoration or composition relationships in this package</p>'}
+        <div class="graph-container">
+            ${renderGraphSvg(graph)}
+        </div>
+        <footer>
+            <p>Generated on ${new Date().toLocaleString()}</p>
+        </footer>
+    </div>
+    
+    <script src="search.js"></script>
+</body>
+</html>`;
+}
+
+function generateCSS() {
+    return `
+body {
+    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    margin: 0;
+    padding: 0;
+    background-color: #f4f4f4;
+    color: #333;
+    line-height: 1.6;
+}
+
+.sidebar {
+    position: fixed;
+    width: 300px;
+    height: 100%;
+    top: 0;
+    background-color: #ffffff;
     box-shadow: 2px 0 10px rgba(0, 0, 0, 0.1);
     overflow-y: auto;
     z-index: 1000;
@@ -1634,11 +3556,17 @@ td.table-description {
     transition: background-color 0.2s;
 }
 
-.search-results a:hover {
+.search-results a:hover,
+.search-results a.active {
     background-color: #f5f9fa;
     text-decoration: none;
 }
 
+.search-results a.active {
+    outline: 2px solid #2980b9;
+    outline-offset: -2px;
+}
+
 .search-category {
     padding: 0;
 }
@@ -1706,18 +3634,51 @@ td.table-description {
     color: #666;
 }
 
-.search-results-list {
-    margin-top: 20px;
+.search-syntax {
+    color: #7f8c8d;
+    font-size: 0.9em;
 }
 
-.search-result-item {
-    margin-bottom: 25px;
-    padding-bottom: 20px;
-    border-bottom: 1px solid #eee;
+.search-facets {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 15px;
+    margin-bottom: 15px;
 }
 
-.search-result-item:last-child {
-    border-bottom: none;
+.search-facet {
+    background: #fff;
+    border: 1px solid #ddd;
+    border-radius: 5px;
+    padding: 5px 15px 10px;
+}
+
+.search-facet legend {
+    font-weight: bold;
+    padding: 0 5px;
+}
+
+.search-facet label {
+    display: block;
+    cursor: pointer;
+}
+
+.facet-count {
+    color: #7f8c8d;
+}
+
+.search-results-list {
+    margin-top: 20px;
+}
+
+.search-result-item {
+    margin-bottom: 25px;
+    padding-bottom: 20px;
+    border-bottom: 1px solid #eee;
+}
+
+.search-result-item:last-child {
+    border-bottom: none;
 }
 
 .search-result-item h3 {
@@ -1782,6 +3743,293 @@ mark {
     background-color: #3498db;
 }
 
+.signature {
+    background-color: #f8f9fa;
+    padding: 8px 12px;
+    border-radius: 5px;
+    border-left: 4px solid #2980b9;
+    margin: 0 0 15px;
+    font-family: Consolas, Monaco, 'Andale Mono', monospace;
+}
+
+.base-ref {
+    margin: -5px 0 15px;
+    color: #555;
+}
+
+td.base-cell {
+    font-weight: normal;
+    white-space: nowrap;
+    vertical-align: top;
+}
+
+.base-external {
+    color: #7f8c8d;
+    border-bottom: 1px dotted #7f8c8d;
+}
+
+.base-unresolved {
+    color: #95a5a6;
+    font-style: italic;
+}
+
+.base-local {
+    color: #555;
+}
+
+.source-link {
+    font-size: 0.55em;
+    font-weight: normal;
+    margin-left: 10px;
+    vertical-align: middle;
+}
+
+td .repository-link {
+    font-weight: normal;
+    margin-left: 5px;
+}
+
+.source-listing {
+    background-color: #fff;
+    padding: 10px 0;
+    border-radius: 5px;
+    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    overflow-x: auto;
+    font-family: Consolas, Monaco, 'Andale Mono', monospace;
+    font-size: 13px;
+    line-height: 1.5;
+}
+
+.source-line {
+    display: block;
+    padding-right: 15px;
+}
+
+.source-line:target {
+    background-color: #fff3cd;
+}
+
+.line-number {
+    display: inline-block;
+    width: 45px;
+    padding-right: 15px;
+    margin-right: 10px;
+    text-align: right;
+    color: #aaa;
+    border-right: 1px solid #eee;
+    user-select: none;
+}
+
+.eo-comment {
+    color: #7f8c8d;
+    font-style: italic;
+}
+
+.eo-meta {
+    color: #8e44ad;
+}
+
+.eo-string {
+    color: #27ae60;
+}
+
+.eo-number {
+    color: #d35400;
+}
+
+.eo-name {
+    color: #2980b9;
+    font-weight: bold;
+}
+
+.eo-keyword {
+    color: #c0392b;
+}
+
+.badge {
+    display: inline-block;
+    font-size: 0.45em;
+    font-weight: normal;
+    padding: 3px 8px;
+    border-radius: 12px;
+    margin-left: 8px;
+    vertical-align: middle;
+    color: white;
+}
+
+.deprecated-badge {
+    background-color: #c0392b;
+}
+
+.since-badge {
+    background-color: #7f8c8d;
+}
+
+td .badge {
+    font-size: 0.75em;
+}
+
+.deprecated,
+.sidebar-link.deprecated {
+    text-decoration: line-through;
+}
+
+.deprecation-notice {
+    background-color: #fdecea;
+    border-left: 4px solid #c0392b;
+    padding: 10px 15px;
+    border-radius: 5px;
+    margin-bottom: 15px;
+}
+
+.deprecation-notice p {
+    display: inline;
+    margin: 0;
+}
+
+.example {
+    margin-bottom: 10px;
+}
+
+.see-section ul {
+    margin: 0;
+}
+
+.decorated-by-section ul {
+    margin: 0;
+}
+
+.graph-container {
+    background: #fff;
+    padding: 15px;
+    border-radius: 5px;
+    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    overflow-x: auto;
+}
+
+.graph-node rect {
+    fill: #eaf2f8;
+    stroke: #2980b9;
+    stroke-width: 1.5;
+}
+
+.graph-node-external rect {
+    fill: #f4f4f4;
+    stroke: #7f8c8d;
+    stroke-dasharray: 4 2;
+}
+
+.graph-node text {
+    font-family: monospace;
+    font-size: 12px;
+    fill: #333;
+}
+
+.graph-node:hover rect {
+    fill: #d4e6f1;
+}
+
+.graph-edge {
+    stroke-width: 1.5;
+}
+
+.graph-edge-decoration,
+.graph-legend-decoration {
+    stroke: #2980b9;
+    color: #2980b9;
+}
+
+.graph-edge-composition,
+.graph-legend-composition {
+    stroke: #7f8c8d;
+    stroke-dasharray: 5 3;
+    color: #7f8c8d;
+}
+
+.graph-arrow-decoration {
+    fill: #2980b9;
+}
+
+.graph-arrow-composition {
+    fill: #7f8c8d;
+}
+
+.graph-legend span {
+    font-family: monospace;
+    margin-left: 10px;
+}
+
+.coverage-summary {
+    background: #fff;
+    padding: 15px;
+    border-radius: 5px;
+    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+}
+
+.coverage-table td:first-child {
+    width: auto;
+}
+
+.coverage-cell {
+    white-space: nowrap;
+}
+
+.coverage-high {
+    color: #27ae60;
+}
+
+.coverage-medium {
+    color: #d35400;
+}
+
+.coverage-low {
+    color: #c0392b;
+}
+
+.coverage-overall td {
+    font-weight: bold;
+    border-top: 2px solid #2980b9;
+}
+
+.source-file-meta {
+    background: #fff;
+    padding: 15px;
+    margin-bottom: 15px;
+    border-radius: 5px;
+    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+}
+
+.source-file-meta h3 {
+    margin-top: 0;
+    font-family: Consolas, Monaco, 'Andale Mono', monospace;
+    font-size: 1em;
+}
+
+.meta-table ul {
+    margin: 0;
+    padding-left: 20px;
+}
+
+.meta-filter {
+    background: #fff;
+    padding: 20px;
+    border-radius: 5px;
+    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+}
+
+.meta-filter-controls {
+    display: flex;
+    gap: 10px;
+    margin-bottom: 10px;
+}
+
+.meta-filter-controls select {
+    padding: 6px 10px;
+    border: 1px solid #ddd;
+    border-radius: 5px;
+    font-size: 14px;
+}
+
 .abstract-type {
     background-color: #2ecc71;
 }
@@ -1790,10 +4038,67 @@ mark {
     background-color: #e67e22;
 }
     `;
-    await fs.promises.writeFile(path.join(outputDir, 'styles.css'), cssContent, 'utf-8');
 }
 
-function getPackageNameFromFilePath(filePath) {
+function getPackageNameFromMetas(metas) {
+    const packageMeta = metas.find(meta => meta.head === 'package');
+    return packageMeta ? packageMeta.tail : null;
+}
+
+function resolvePackageName(ctx, filePath, metas) {
+    const dirPackage = getPackageNameFromFilePath(ctx.inputDir, filePath);
+    const metaPackage = getPackageNameFromMetas(metas);
+    if (metaPackage === null) {
+        return dirPackage;
+    }
+    if (dirPackage && metaPackage !== dirPackage) {
+        warn(ctx, `"${filePath}" declares package "${metaPackage}" but is located in "${dirPackage}"; using "${metaPackage}".`);
+    }
+    return metaPackage;
+}
+
+async function loadEoSource(ctx, sourceFile, pkgName) {
+    const baseName = path.basename(sourceFile, '.xmir');
+    const candidates = [
+        sourceFile.replace(/\.xmir$/, '.eo'),
+        [...(pkgName ? pkgName.split('.') : []), `${baseName}.eo`].join('/')
+    ];
+    for (const candidate of candidates) {
+        const eoPath = path.join(ctx.sourceDir, ...candidate.split('/'));
+        try {
+            const content = await fs.promises.readFile(eoPath, 'utf-8');
+            return { eoFile: candidate, lines: content.split(/\r?\n/) };
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw new InputError(`Cannot read source "${eoPath}": ${err.message}`, ctx.sourceDir, err);
+            }
+        }
+    }
+    warn(ctx, `No .eo source found for "${sourceFile}" in "${ctx.sourceDir}".`);
+    return null;
+}
+
+function buildRepositoryUrl(ctx, source, pkgName, line) {
+    const values = {
+        path: source.eoFile || source.file.replace(/\.xmir$/, '.eo'),
+        line: Number.isNaN(line) ? '' : line,
+        ref: ctx.sourceRef,
+        package: pkgName
+    };
+    return ctx.sourceUrlTemplate.replace(/\{(path|line|ref|package)\}/g, (match, key) => String(values[key]));
+}
+
+function assignRepositoryUrls(ctx, abstracts, source, pkgName) {
+    abstracts.forEach(abs => {
+        abs.repositoryUrl = buildRepositoryUrl(ctx, source, pkgName, abs.line);
+        abs.childObjects.forEach(obj => {
+            obj.repositoryUrl = buildRepositoryUrl(ctx, source, pkgName, obj.line);
+        });
+        assignRepositoryUrls(ctx, abs.childrenAbstracts, source, pkgName);
+    });
+}
+
+function getPackageNameFromFilePath(inputDir, filePath) {
     const relativePath = path.relative(inputDir, filePath);
     const dirName = path.dirname(relativePath);
     if (dirName === '.' || dirName === '') {
@@ -1802,78 +4107,930 @@ function getPackageNameFromFilePath(filePath) {
     return dirName.split(path.sep).join('.');
 }
 
-async function generateDocumentation(opts) {
-    const skipUncommented = opts.skipUncommented || false;
-    console.log(`Using input directory: ${inputDir}`);
-    console.log(`Output will be generated in: ${outputDir}`);
+const CACHE_FILE = '.autodoc-cache.json';
+const CACHE_VERSION = 1;
+const GENERATOR_HASH = hashOf(fs.readFileSync(__filename));
+
+function hashOf(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function cacheOptionsHash(ctx) {
+    return hashOf(JSON.stringify({
+        generator: GENERATOR_HASH,
+        inputDir: path.resolve(ctx.inputDir),
+        skipUncommented: ctx.skipUncommented,
+        sourceDir: ctx.sourceDir && path.resolve(ctx.sourceDir),
+        sourceUrlTemplate: ctx.sourceUrlTemplate,
+        sourceRef: ctx.sourceRef,
+        format: ctx.format,
+        themeDir: ctx.themeDir && path.resolve(ctx.themeDir),
+        allowHtml: ctx.allowHtml
+    }));
+}
+
+async function loadCache(ctx) {
+    const empty = { version: CACHE_VERSION, options: cacheOptionsHash(ctx), files: {}, pages: {}, redirects: [] };
+    if (!ctx.cacheEnabled) {
+        return empty;
+    }
     try {
+        const cache = JSON.parse(await fs.promises.readFile(path.join(ctx.outputDir, CACHE_FILE), 'utf-8'));
+        if (cache.version === CACHE_VERSION && cache.options === empty.options) {
+            return { ...empty, files: cache.files || {}, pages: cache.pages || {}, redirects: cache.redirects || [] };
+        }
+        ctx.logger.log('Options or generator changed, ignoring the cache.');
+    } catch (err) {
+        if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) {
+            throw new OutputError(`Cannot read cache "${CACHE_FILE}": ${err.message}`, path.join(ctx.outputDir, CACHE_FILE), err);
+        }
+    }
+    return empty;
+}
+
+async function saveCache(ctx, cache) {
+    if (!ctx.cacheEnabled) {
+        return;
+    }
+    await writeFile(path.join(ctx.outputDir, CACHE_FILE), JSON.stringify(cache));
+}
+
+function serializeAbstract(abstract) {
+    const { parent, childrenAbstracts, ...rest } = abstract;
+    return { ...rest, childrenAbstracts: childrenAbstracts.map(serializeAbstract) };
+}
+
+function deserializeAbstract(data, parent = null) {
+    const abstract = { ...data, parent, childrenAbstracts: [] };
+    abstract.childrenAbstracts = data.childrenAbstracts.map(child => deserializeAbstract(child, abstract));
+    return abstract;
+}
+
+async function processXmirFile(ctx, filePath, previousCache, nextCache) {
+    const content = await fs.promises.readFile(filePath, 'utf-8');
+    const sourceFile = path.relative(ctx.inputDir, filePath).split(path.sep).join('/');
+    const hash = hashOf(content);
+    const cached = previousCache.files[sourceFile];
+    if (cached && cached.hash === hash) {
+        nextCache.files[sourceFile] = cached;
+        (cached.warnings || []).forEach(message => warn(ctx, message));
+        return {
+            sourceFile,
+            pkgName: cached.pkgName,
+            metas: cached.metas,
+            abstracts: cached.abstracts.map(abs => deserializeAbstract(abs))
+        };
+    }
+    const warningsBefore = ctx.warnings.length;
+    let parsed;
+    try {
+        parsed = await parseXML(content);
+    } catch (err) {
+        throw new XmirParseError(`Cannot parse "${filePath}": ${err.message}`, filePath, err);
+    }
+    const programXML = parsed && parsed.program;
+    if (!programXML) {
+        throw new XmirParseError(`"${filePath}" is not an XMIR program.`, filePath);
+    }
+    const commentsXml = programXML.comments && programXML.comments[0] && programXML.comments[0].comment;
+    const comments = extractComments(commentsXml);
+    const metasXml = programXML.metas && programXML.metas[0] && programXML.metas[0].meta;
+    const metas = extractMetas(metasXml);
+    const objects = programXML.objects && programXML.objects[0] && programXML.objects[0].o;
+    const lineToCommentMap = attachComments(comments, objects);
+    comments.filter(comment => comment.target === null).forEach(comment => {
+        warn(ctx, `Comment in "${sourceFile}" at line ${comment.line} is not attached to any object.`);
+    });
+    const pkgName = resolvePackageName(ctx, filePath, metas);
+    const abstracts = [];
+    buildAbstracts(objects, lineToCommentMap, null, abstracts, ctx, { pkgName, file: sourceFile });
+    applyDocTags(ctx, abstracts, sourceFile);
+    nextCache.files[sourceFile] = {
+        hash,
+        pkgName,
+        metas,
+        abstracts: abstracts.map(serializeAbstract),
+        warnings: ctx.warnings.slice(warningsBefore)
+    };
+    return { sourceFile, pkgName, metas, abstracts, comments, objects };
+}
+
+function packageRenderHash(pkgName, allPackages, theme, idsHash) {
+    const pkg = allPackages[pkgName];
+    const relations = abs => [
+        relationsOfAbstract(allPackages, abs).decoratedBy.map(item => item.abstract.uniqueId),
+        relationsOfAbstract(allPackages, abs).usedBy.map(referenceLabel),
+        abs.childrenAbstracts.map(relations)
+    ];
+    return hashOf(JSON.stringify({
+        ids: idsHash,
+        theme: theme.hash,
+        children: Object.keys(allPackages).filter(p => p.startsWith(pkgName + '.')).sort(),
+        abstracts: pkg.abstracts.map(serializeAbstract),
+        relations: pkg.abstracts.map(relations),
+        sources: pkg.sources
+    }));
+}
+
+function collectAbstractIds(allPackages) {
+    const ids = [];
+    const collect = abs => {
+        ids.push(abs.uniqueId);
+        abs.childrenAbstracts.forEach(collect);
+    };
+    Object.keys(allPackages).sort().forEach(pkgName => allPackages[pkgName].abstracts.forEach(collect));
+    return ids;
+}
+
+async function removeStalePages(ctx, previousCache, nextCache) {
+    const current = new Set([
+        ...Object.values(nextCache.pages).flatMap(page => page.files),
+        ...nextCache.redirects
+    ]);
+    const stale = [
+        ...Object.values(previousCache.pages).flatMap(page => page.files),
+        ...previousCache.redirects
+    ].filter(file => !current.has(file));
+    for (const file of stale) {
+        const filePath = path.join(ctx.outputDir, file);
         try {
-            await fs.promises.access(inputDir, fs.constants.R_OK);
+            await fs.promises.unlink(filePath);
+            ctx.removed.push(filePath);
         } catch (err) {
-            console.error(`Error: Input directory "${inputDir}" does not exist or is not readable.`);
-            process.exit(1);
+            if (err.code !== 'ENOENT') {
+                throw new OutputError(`Cannot remove "${filePath}": ${err.message}`, filePath, err);
+            }
         }
-        await fs.promises.mkdir(outputDir, { recursive: true });
-        await generateCSS();
-        const allFiles = await readxmirFilesRecursively(inputDir);
-        if (allFiles.length === 0) {
-            console.warn(`Warning: No .xmir files found in "${inputDir}". Please check your input directory.`);
-        } else {
-            console.log(`Found ${allFiles.length} .xmir files to process.`);
-        }
-        for (const filePath of allFiles) {
-            const content = await fs.promises.readFile(filePath, 'utf-8');
-            const parsed = await parseXML(content);
-            const programXML = parsed.program;
-            const commentsXml = programXML.comments && programXML.comments[0] && programXML.comments[0].comment;
-            const comments = extractComments(commentsXml);
-            const lineToCommentMap = buildLineToCommentMap(comments);
-            const objects = programXML.objects && programXML.objects[0] && programXML.objects[0].o;
-            const abstracts = [];
-            buildAbstracts(objects, lineToCommentMap, null, abstracts, skipUncommented);
-            const pkgName = getPackageNameFromFilePath(filePath);
-            if (!packages[pkgName]) {
-                packages[pkgName] = {
-                    name: pkgName,
-                    abstracts: []
-                };
+    }
+}
+
+const DEFAULT_THEME = Object.freeze({
+    packagePage: generatePackagePage,
+    packagesPage: generatePackagesPage,
+    searchPage: generateSearchPage,
+    sourcePage: generateSourcePage,
+    coveragePage: generateCoveragePage,
+    deprecatedPage: generateDeprecatedPage,
+    graphPage: generateGraphPage,
+    abstract: renderAbstract,
+    searchBar: generateSearchBarHTML,
+    styles: generateCSS
+});
+
+const THEME_HELPERS = Object.freeze({
+    escapeHtml,
+    sanitizeFileName,
+    encodePageName,
+    abstractUrl,
+    packageUrl: pkgName => packagePageName(pkgName),
+    sourcePageName,
+    graphPageName,
+    renderBase,
+    renderSourceExcerpt,
+    findSource
+});
+
+async function loadTheme(ctx) {
+    const helpers = Object.freeze({
+        ...THEME_HELPERS,
+        renderMarkdown: text => text ? ctx.markdown.parse(preprocessMarkdown(text)) : ''
+    });
+    const theme = { ...DEFAULT_THEME, defaults: DEFAULT_THEME, helpers, markdown: ctx.markdown, dir: null, hash: '' };
+    if (!ctx.themeDir) {
+        return theme;
+    }
+    const themeDir = path.resolve(ctx.themeDir);
+    try {
+        await fs.promises.access(themeDir, fs.constants.R_OK);
+    } catch (err) {
+        throw new OptionError(`Theme directory "${ctx.themeDir}" does not exist or is not readable.`, 'theme');
+    }
+    theme.dir = themeDir;
+    const templatesDir = path.join(themeDir, 'templates');
+    let entries = [];
+    try {
+        entries = await fs.promises.readdir(templatesDir, { withFileTypes: true });
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw new ThemeError(`Cannot read theme templates in "${templatesDir}": ${err.message}`, templatesDir, err);
+        }
+    }
+    for (const entry of entries) {
+        if (!entry.isFile() || !entry.name.endsWith('.js')) continue;
+        const name = path.basename(entry.name, '.js');
+        const templatePath = path.join(templatesDir, entry.name);
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_THEME, name)) {
+            warn(ctx, `Theme template "${templatePath}" does not match any of: ${Object.keys(DEFAULT_THEME).join(', ')}; ignoring it.`);
+            continue;
+        }
+        let template;
+        try {
+            delete require.cache[require.resolve(templatePath)];
+            template = require(templatePath);
+        } catch (err) {
+            throw new ThemeError(`Cannot load theme template "${templatePath}": ${err.message}`, templatePath, err);
+        }
+        if (typeof template !== 'function') {
+            throw new ThemeError(`Theme template "${templatePath}" must export a function.`, templatePath);
+        }
+        theme[name] = template;
+        theme.hash = hashOf(theme.hash + name + await fs.promises.readFile(templatePath, 'utf-8'));
+    }
+    return theme;
+}
+
+async function copyThemeAssets(ctx, assetsDir, relativeDir = '') {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(path.join(assetsDir, relativeDir), { withFileTypes: true });
+    } catch (err) {
+        if (err.code === 'ENOENT') return;
+        throw new ThemeError(`Cannot read theme assets in "${assetsDir}": ${err.message}`, assetsDir, err);
+    }
+    for (const entry of entries) {
+        const relativePath = path.join(relativeDir, entry.name);
+        if (entry.isDirectory()) {
+            await copyThemeAssets(ctx, assetsDir, relativePath);
+        } else if (entry.isFile()) {
+            await writeOutputFile(ctx, relativePath, await fs.promises.readFile(path.join(assetsDir, relativePath)));
+        }
+    }
+}
+
+async function allExist(ctx, files) {
+    for (const file of files) {
+        try {
+            await fs.promises.access(path.join(ctx.outputDir, file));
+        } catch (err) {
+            return false;
+        }
+    }
+    return true;
+}
+
+const REDIRECTS_FILE = 'redirects.json';
+
+function packagePages(pkgName, packages) {
+    return [
+        { file: packagePageName(pkgName), label: `package "${pkgName}"` },
+        { file: graphPageName(pkgName), label: `graph of package "${pkgName}"` },
+        ...packages[pkgName].sources.filter(src => src.lines).map(src => ({ file: sourcePageName(src), label: `source "${src.file}"` }))
+    ];
+}
+
+function checkPageNames(ctx, packages) {
+    const owners = new Map();
+    Object.keys(packages).forEach(pkgName => {
+        packagePages(pkgName, packages).forEach(({ file, label }) => {
+            const key = file.toLowerCase();
+            if (owners.has(key)) {
+                throw new OutputError(`The pages of ${owners.get(key)} and ${label} would both be written to "${file}".`, path.join(ctx.outputDir, file));
             }
-            packages[pkgName].abstracts.push(...abstracts);
-        }
-        const allPackageNames = Object.keys(packages);
-        allPackageNames.forEach(fullPkgName => {
-            if (fullPkgName.includes('.')) {
-                const parts = fullPkgName.split('.');
-                for (let i = 1; i < parts.length; i++) {
-                    const parentPkgName = parts.slice(0, i).join('.');
-                    if (!packages[parentPkgName]) {
-                        packages[parentPkgName] = {
-                            name: parentPkgName,
-                            abstracts: []
-                        };
-                    }
+            owners.set(key, label);
+        });
+    });
+}
+
+function buildRedirects(ctx, packages) {
+    const pages = new Set(Object.keys(packages).map(pkgName => packagePageName(pkgName)));
+    const redirects = {};
+    Object.keys(packages).sort().forEach(pkgName => {
+        const legacyName = legacyPackagePageName(pkgName);
+        if (legacyName === packagePageName(pkgName)) {
+            return;
+        }
+        if (pages.has(legacyName)) {
+            warn(ctx, `Old page "${legacyName}" of package "${pkgName}" is now the page of package "${packageOfPageName(legacyName)}"; no redirect is written.`);
+            return;
+        }
+        redirects[legacyName] = (redirects[legacyName] || []).concat(packagePageName(pkgName));
+    });
+    return redirects;
+}
+
+function generateRedirectPage(targets) {
+    if (targets.length === 1) {
+        const target = targets[0];
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <title>Package: ${escapeHtml(packageOfPageName(target) || '(default)')}</title>
+    <meta charset="UTF-8">
+    <script>window.location.replace(${scriptJson(target)} + window.location.hash);</script>
+    <meta http-equiv="refresh" content="0; url=${target}">
+    <link rel="canonical" href="${target}">
+</head>
+<body>
+    <p>This page has moved to <a href="${target}">${target}</a>.</p>
+</body>
+</html>`;
+    }
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <title>Packages</title>
+    <meta charset="UTF-8">
+    <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+    <div class="content-wrapper">
+        <p>This page was shared by several packages, which now have their own pages:</p>
+        <ul>
+            ${targets.map(target => `<li><a href="${target}">${escapeHtml(packageOfPageName(target) || '(default)')}</a></li>`).join('\n')}
+        </ul>
+    </div>
+</body>
+</html>`;
+}
+
+async function writeRedirects(ctx, packages, nextCache) {
+    const redirects = buildRedirects(ctx, packages);
+    await writeOutputFile(ctx, REDIRECTS_FILE, JSON.stringify(redirects, null, 2));
+    for (const [legacyName, targets] of Object.entries(redirects)) {
+        await writeOutputFile(ctx, legacyName, generateRedirectPage(targets));
+    }
+    nextCache.redirects = Object.keys(redirects);
+}
+
+async function writeHtmlOutput(ctx, packages, previousCache, nextCache, coverage) {
+    checkPageNames(ctx, packages);
+    const theme = await loadTheme(ctx);
+    const idsHash = hashOf(JSON.stringify(collectAbstractIds(packages)));
+    await writeOutputFile(ctx, 'styles.css', theme.styles({}, theme));
+    const searchIndex = buildSearchIndex(packages);
+    await writeOutputFile(ctx, 'search.js', generateSearchJS());
+    await writeOutputFile(ctx, SEARCH_INDEX_FILE, JSON.stringify(searchIndex));
+    await writeOutputFile(ctx, SEARCH_INDEX_SCRIPT, `window.autodocSearchIndex = ${JSON.stringify(searchIndex)};\n`);
+    await writeOutputFile(ctx, 'search.html', theme.searchPage({ allPackages: packages }, theme));
+    const deprecated = collectDeprecated(packages);
+    await writeOutputFile(ctx, 'packages.html', theme.packagesPage({ allPackages: packages, coverage, deprecated }, theme));
+    await writeOutputFile(ctx, 'deprecated.html', theme.deprecatedPage({ deprecated }, theme));
+    if (coverage) {
+        await writeOutputFile(ctx, 'coverage.html', theme.coveragePage({ coverage, minCoverage: ctx.minCoverage }, theme));
+    }
+    for (const pkgName of Object.keys(packages)) {
+        const pageName = packagePageName(pkgName);
+        const sources = packages[pkgName].sources.filter(src => src.lines);
+        const hash = packageRenderHash(pkgName, packages, theme, idsHash);
+        const files = packagePages(pkgName, packages).map(page => page.file);
+        nextCache.pages[pkgName] = { hash, files };
+        const previous = previousCache.pages[pkgName];
+        if (previous && previous.hash === hash && await allExist(ctx, files)) {
+            continue;
+        }
+        const html = theme.packagePage({ pkgName, pkgData: packages[pkgName], allPackages: packages }, theme);
+        await writeOutputFile(ctx, pageName, html);
+        await writeOutputFile(ctx, graphPageName(pkgName), theme.graphPage({ pkgName, allPackages: packages }, theme));
+        for (const source of sources) {
+            await writeOutputFile(ctx, sourcePageName(source), theme.sourcePage({ source, pkgName }, theme));
+        }
+    }
+    await writeRedirects(ctx, packages, nextCache);
+    await removeStalePages(ctx, previousCache, nextCache);
+    if (theme.dir) {
+        await copyThemeAssets(ctx, path.join(theme.dir, 'assets'));
+    }
+}
+
+async function ensureInputDir(inputDir) {
+    try {
+        await fs.promises.access(inputDir, fs.constants.R_OK);
+    } catch (err) {
+        throw new InputError(`Input directory "${inputDir}" does not exist or is not readable.`, inputDir, err);
+    }
+}
+
+async function buildModel(ctx, previousCache, nextCache, onFile) {
+    const { inputDir, packages } = ctx;
+    const allFiles = await readxmirFilesRecursively(inputDir);
+    if (allFiles.length === 0) {
+        warn(ctx, `No .xmir files found in "${inputDir}". Please check your input directory.`);
+    } else {
+        ctx.logger.log(`Found ${allFiles.length} .xmir files to process.`);
+    }
+    for (const filePath of allFiles) {
+        const fileResult = await processXmirFile(ctx, filePath, previousCache, nextCache);
+        const { sourceFile, pkgName, metas } = fileResult;
+        const abstracts = fileResult.abstracts.filter(abs => {
+            if (ctx.processedAbstracts.has(abs.uniqueId)) {
+                warn(ctx, `Abstract "${abs.uniqueId}" is defined in both "${ctx.processedAbstracts.get(abs.uniqueId)}" and "${sourceFile}"; keeping the first definition.`);
+                return false;
+            }
+            ctx.processedAbstracts.set(abs.uniqueId, sourceFile);
+            return true;
+        });
+        if (!packages[pkgName]) {
+            packages[pkgName] = createPackage(pkgName);
+        }
+        packages[pkgName].abstracts.push(...abstracts);
+        const source = { file: sourceFile, metas };
+        if (ctx.sourceDir) {
+            Object.assign(source, await loadEoSource(ctx, sourceFile, pkgName));
+        }
+        if (ctx.sourceUrlTemplate) {
+            assignRepositoryUrls(ctx, abstracts, source, pkgName);
+        }
+        packages[pkgName].sources.push(source);
+        if (onFile) {
+            onFile(fileResult, source);
+        }
+    }
+    const allPackageNames = Object.keys(packages);
+    allPackageNames.forEach(fullPkgName => {
+        if (fullPkgName.includes('.')) {
+            const parts = fullPkgName.split('.');
+            for (let i = 1; i < parts.length; i++) {
+                const parentPkgName = parts.slice(0, i).join('.');
+                if (!packages[parentPkgName]) {
+                    packages[parentPkgName] = createPackage(parentPkgName);
                 }
             }
+        }
+    });
+    return packages;
+}
+
+function checkInlineReferences(ctx, allPackages) {
+    const check = (text, scope, pkgName, line) => {
+        if (!text) return;
+        findInlineRefs(text).forEach(target => {
+            if (!resolveInlineRef(target, { scope, pkgName, allPackages })) {
+                warn(ctx, `Unresolved reference "${target}" in "${rootAbstractOf(scope).sourceFile}" at line ${line}.`);
+            }
+        });
+    };
+    const walk = (abs, pkgName) => {
+        check(abs.comments, abs, pkgName, abs.line);
+        if (abs.tags) {
+            [abs.tags.returns, abs.tags.deprecated, ...abs.tags.examples].forEach(text => check(text, abs, pkgName, abs.line));
+        }
+        (abs.params || []).forEach(param => check(param.comments, abs, pkgName, param.line));
+        abs.childObjects.forEach(obj => check(obj.comments, abs, pkgName, obj.line));
+        abs.childrenAbstracts.forEach(child => walk(child, pkgName));
+    };
+    Object.keys(allPackages).forEach(pkgName => allPackages[pkgName].abstracts.forEach(abs => walk(abs, pkgName)));
+}
+
+async function generateDocumentation(opts = {}) {
+    const ctx = createContext(opts);
+    const { inputDir, outputDir, packages } = ctx;
+    ctx.logger.log(`Using input directory: ${inputDir}`);
+    ctx.logger.log(`Output will be generated in: ${outputDir}`);
+    await ensureInputDir(inputDir);
+    try {
+        await fs.promises.mkdir(outputDir, { recursive: true });
+    } catch (err) {
+        throw new OutputError(`Cannot create output directory "${outputDir}": ${err.message}`, outputDir, err);
+    }
+    const previousCache = await loadCache(ctx);
+    const nextCache = { version: previousCache.version, options: previousCache.options, files: {}, pages: {}, redirects: [] };
+    await buildModel(ctx, previousCache, nextCache);
+    checkInlineReferences(ctx, packages);
+    const coverage = ctx.coverage ? computeCoverage(packages) : null;
+    if (ctx.format === 'json') {
+        await writeOutputFile(ctx, 'docs.json', generateJSON(packages));
+    } else if (ctx.format === 'markdown') {
+        await writeMarkdownOutput(ctx, packages);
+    } else {
+        await writeHtmlOutput(ctx, packages, previousCache, nextCache, coverage);
+    }
+    if (coverage) {
+        await writeOutputFile(ctx, 'coverage.json', JSON.stringify(coverage, null, 2));
+        ctx.logger.log(`Documentation coverage:\n${formatCoverageText(coverage)}`);
+    }
+    if (ctx.jsonFile) {
+        ctx.files.push(await writeFile(path.resolve(ctx.jsonFile), generateJSON(packages)));
+    }
+    await saveCache(ctx, nextCache);
+    ctx.logger.log(`Documentation successfully generated in "${outputDir}".`);
+    if (coverage && ctx.minCoverage !== null && (coverage.overall.total.percent || 0) < ctx.minCoverage) {
+        throw new CoverageError(`Documentation coverage ${formatPercent(coverage.overall.total)} is below the required ${ctx.minCoverage}%.`, coverage, ctx.minCoverage);
+    }
+    return {
+        input: inputDir,
+        output: outputDir,
+        files: ctx.files,
+        removed: ctx.removed,
+        packages,
+        coverage,
+        warnings: ctx.warnings
+    };
+}
+
+const LINT_RULES = {
+    'empty-comment': { severity: 'warning', description: 'Comment is empty or has only one word' },
+    'capital-start': { severity: 'warning', description: 'Comment does not start with a capital letter' },
+    'period-end': { severity: 'warning', description: 'Comment does not end with a period' },
+    'broken-markdown': { severity: 'error', description: 'Comment has unbalanced Markdown markup' },
+    'unclosed-fence': { severity: 'error', description: "Comment has an unclosed ''' code block" },
+    'dangling-reference': { severity: 'error', description: 'Comment references an object that is not documented' },
+    'orphan-comment': { severity: 'warning', description: 'Comment is not followed by an object it could document' }
+};
+const LINT_FORMATS = ['human', 'json', 'sarif'];
+
+function collectObjectLines(objects, lines = new Map()) {
+    (objects || []).forEach(o => {
+        if (o.$ && o.$.line && o.$.name && !lines.has(parseInt(o.$.line, 10))) {
+            lines.set(parseInt(o.$.line, 10), parseInt(o.$.pos, 10) || 0);
+        }
+        collectObjectLines(o.o, lines);
+    });
+    return lines;
+}
+
+function stripCode(text) {
+    return text.replace(/'''[\s\S]*?'''/g, ' ').replace(/```[\s\S]*?```/g, ' ');
+}
+
+function findScopeAtLine(abstracts, line) {
+    let scope = null;
+    const visit = list => list.forEach(abs => {
+        if (abs.line <= line) {
+            scope = abs;
+            visit(abs.childrenAbstracts);
+        }
+    });
+    visit(abstracts || []);
+    return scope;
+}
+
+function lintComment(comment, allPackages, refs = {}) {
+    const problems = [];
+    const report = (rule, message) => problems.push({ rule, message });
+    const text = (comment.text || '').replace(/\\n/g, '\n').trim();
+    const tags = parseDocTags(text);
+    const summary = tags ? tags.description : text;
+    const prose = stripCode(text);
+    const words = stripCode(summary).replace(/[`*_#>\[\]()]/g, ' ').split(/\s+/).filter(Boolean);
+    if (words.length <= 1) {
+        report('empty-comment', summary ? `Comment "${summary}" has only one word` : 'Comment is empty');
+    }
+    if (summary && /^[a-z]/.test(summary)) {
+        report('capital-start', 'Comment should start with a capital letter');
+    }
+    if (summary && !summary.endsWith("'''") && !summary.endsWith('```') && !/[.!?]$/.test(summary)) {
+        report('period-end', 'Comment should end with a period');
+    }
+    if (((text.match(/'''/g) || []).length) % 2 !== 0) {
+        report('unclosed-fence', "Code block opened with ''' is never closed");
+    }
+    const inline = prose.replace(/```/g, '');
+    if (((inline.match(/`/g) || []).length) % 2 !== 0) {
+        report('broken-markdown', 'Unbalanced ` in inline code');
+    }
+    if (((inline.match(/\*\*/g) || []).length) % 2 !== 0) {
+        report('broken-markdown', 'Unbalanced ** in bold text');
+    }
+    if (/\[[^\]\n]*\]\([^)\n]*$/m.test(inline)) {
+        report('broken-markdown', 'Markdown link is not closed with ")"');
+    }
+    const codeRefs = inline.match(/`Q\.[^`\s]+`/g) || [];
+    codeRefs.forEach(ref => {
+        const fqn = ref.slice(1, -1);
+        if (!findAbstractByFqn(allPackages, fqn)) {
+            report('dangling-reference', `Reference to unknown object "${fqn}"`);
+        }
+    });
+    const pageLinks = inline.match(/\]\((package_[^)#\s]+\.html)(?:#[^)\s]*)?\)/g) || [];
+    const pages = new Set(Object.keys(allPackages).flatMap(pkgName => [packagePageName(pkgName), legacyPackagePageName(pkgName)]));
+    pageLinks.forEach(link => {
+        const page = link.replace(/^\]\(/, '').replace(/[#)].*$/, '');
+        if (!pages.has(page)) {
+            report('dangling-reference', `Link to unknown page "${page}"`);
+        }
+    });
+    findInlineRefs(text).forEach(target => {
+        if (!resolveInlineRef(target, { ...refs, allPackages })) {
+            report('dangling-reference', `Inline reference to unknown object "${target}"`);
+        }
+    });
+    if (comment.target === null) {
+        report('orphan-comment', `Comment on line ${comment.line} is not attached to any object`);
+    }
+    return problems;
+}
+
+function formatLintHuman(diagnostics) {
+    const lines = diagnostics.map(d => `${d.file}:${d.line}:${d.column}: ${d.severity}: ${d.message} [${d.rule}]`);
+    const errors = diagnostics.filter(d => d.severity === 'error').length;
+    lines.push(`${diagnostics.length} problems (${errors} errors, ${diagnostics.length - errors} warnings)`);
+    return lines.join('\n');
+}
+
+function formatLintSarif(diagnostics) {
+    const ruleIds = Object.keys(LINT_RULES);
+    return JSON.stringify({
+        version: '2.1.0',
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'eodocs-lint',
+                    rules: ruleIds.map(id => ({
+                        id,
+                        shortDescription: { text: LINT_RULES[id].description },
+                        defaultConfiguration: { level: LINT_RULES[id].severity }
+                    }))
+                }
+            },
+            results: diagnostics.map(d => ({
+                ruleId: d.rule,
+                ruleIndex: ruleIds.indexOf(d.rule),
+                level: d.severity,
+                message: { text: d.message },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: d.file },
+                        region: { startLine: d.line, startColumn: d.column }
+                    }
+                }]
+            }))
+        }]
+    }, null, 2);
+}
+
+function formatLint(diagnostics, format) {
+    if (format === 'json') {
+        return JSON.stringify(diagnostics, null, 2);
+    }
+    if (format === 'sarif') {
+        return formatLintSarif(diagnostics);
+    }
+    return formatLintHuman(diagnostics);
+}
+
+async function lintDocumentation(opts = {}) {
+    const format = opts.format || 'human';
+    if (!LINT_FORMATS.includes(format)) {
+        throw new OptionError(`Unknown lint format "${format}", expected one of: ${LINT_FORMATS.join(', ')}.`, 'format');
+    }
+    const ctx = createContext({ ...opts, format: undefined, cache: false });
+    await ensureInputDir(ctx.inputDir);
+    const files = [];
+    const noCache = { files: {}, pages: {} };
+    const packages = await buildModel(ctx, noCache, { files: {}, pages: {} }, (fileResult, source) => {
+        files.push({ ...fileResult, source });
+    });
+    const diagnostics = [];
+    files.forEach(({ sourceFile, pkgName, abstracts, comments, objects, source }) => {
+        const objectLines = collectObjectLines(objects);
+        const file = source.eoFile || sourceFile.replace(/\.xmir$/, '.eo');
+        comments.forEach(comment => {
+            const refs = { scope: findScopeAtLine(abstracts, comment.line), pkgName };
+            lintComment(comment, packages, refs).forEach(problem => {
+                diagnostics.push({
+                    file,
+                    line: comment.line,
+                    column: objectLines.has(comment.target) ? objectLines.get(comment.target) + 1 : 1,
+                    rule: problem.rule,
+                    severity: LINT_RULES[problem.rule].severity,
+                    message: problem.message
+                });
+            });
+        });
+    });
+    return {
+        diagnostics,
+        errors: diagnostics.filter(d => d.severity === 'error').length,
+        warnings: diagnostics.filter(d => d.severity === 'warning').length,
+        report: formatLint(diagnostics, format)
+    };
+}
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_WATCH_INTERVAL = 1000;
+const LIVE_RELOAD_PATH = '/__autodoc/livereload';
+const LIVE_RELOAD_SCRIPT = `<script>new EventSource('${LIVE_RELOAD_PATH}').onmessage = function() { location.reload(); };</script>`;
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2'
+};
+
+function startPreviewServer(outputDir, port, logger) {
+    const root = path.resolve(outputDir);
+    const clients = new Set();
+    const server = http.createServer(async (req, res) => {
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Bad request');
+            return;
+        }
+        if (pathname === LIVE_RELOAD_PATH) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive'
+            });
+            res.write(': connected\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+        const filePath = path.resolve(root, '.' + (pathname === '/' ? '/packages.html' : pathname));
+        if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+            res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Forbidden');
+            return;
+        }
+        let content;
+        try {
+            content = await fs.promises.readFile(filePath);
+        } catch (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        const ext = path.extname(filePath).toLowerCase();
+        if (ext === '.html') {
+            content = content.toString('utf-8').replace(/<\/body>/i, `${LIVE_RELOAD_SCRIPT}\n</body>`);
+        }
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[ext] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        });
+        res.end(content);
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', err => reject(new OptionError(`Cannot start the preview server on port ${port}: ${err.message}`, 'port')));
+        server.listen(port, () => {
+            logger.log(`Serving "${outputDir}" at http://localhost:${server.address().port}/`);
+            resolve({
+                server,
+                port: server.address().port,
+                reload() {
+                    clients.forEach(client => client.write('data: reload\n\n'));
+                },
+                close() {
+                    clients.forEach(client => client.end());
+                    clients.clear();
+                    return new Promise(done => server.close(() => done()));
+                }
+            });
         });
-        const searchData = collectSearchableItems(packages);
-        await fs.promises.writeFile(path.join(outputDir, 'search.js'), generateSearchJS(searchData), 'utf-8');
-        const searchPageHtml = generateSearchPage(packages);
-        await fs.promises.writeFile(path.join(outputDir, 'search.html'), searchPageHtml, 'utf-8');
-        const packagesHtml = generatePackagesPage(packages);
-        await fs.promises.writeFile(path.join(outputDir, 'packages.html'), packagesHtml, 'utf-8');
-        for (const pkgName of Object.keys(packages)) {
-            const html = generatePackagePage(pkgName, packages[pkgName], packages);
-            await fs.promises.writeFile(path.join(outputDir, `package_${sanitizeFileName(pkgName)}.html`), html, 'utf-8');
-        }
-        console.log('Documentation successfully generated in the "docs" folder.');
-    } catch (error) {
+    });
+}
+
+async function snapshotInput(inputDir) {
+    const files = await readxmirFilesRecursively(inputDir);
+    const entries = await Promise.all(files.map(async file => {
+        try {
+            const stat = await fs.promises.stat(file);
+            return `${file}:${stat.mtimeMs}:${stat.size}`;
+        } catch (err) {
+            return `${file}:missing`;
+        }
+    }));
+    return entries.sort().join('\n');
+}
+
+async function watchDocumentation(opts = {}) {
+    const logger = opts.logger || console;
+    const inputDir = opts.input || DEFAULT_INPUT_DIR;
+    const outputDir = opts.output || DEFAULT_OUTPUT_DIR;
+    const interval = opts.interval || DEFAULT_WATCH_INTERVAL;
+    const port = opts.port === undefined ? DEFAULT_PORT : Number(opts.port);
+    if (opts.serve && !(Number.isInteger(port) && port >= 0 && port <= 65535)) {
+        throw new OptionError(`Port must be an integer between 0 and 65535, got "${opts.port}".`, 'port');
+    }
+    const regenerate = async () => {
+        try {
+            return await generateDocumentation(opts);
+        } catch (err) {
+            if (err instanceof InputError || err instanceof OptionError) {
+                throw err;
+            }
+            logger.warn(`Error: ${err.message}`);
+            return null;
+        }
+    };
+    let snapshot = await snapshotInput(inputDir).catch(err => {
+        throw new InputError(`Input directory "${inputDir}" does not exist or is not readable.`, inputDir, err);
+    });
+    await regenerate();
+    const preview = opts.serve ? await startPreviewServer(outputDir, port, logger) : null;
+    logger.log(`Watching "${inputDir}" for changes...`);
+    let timer = null;
+    let closed = false;
+    const check = async () => {
+        try {
+            const next = await snapshotInput(inputDir);
+            if (next !== snapshot) {
+                snapshot = next;
+                logger.log('Changes detected, regenerating...');
+                const result = await regenerate();
+                if (result && preview) {
+                    preview.reload();
+                }
+            }
+        } catch (err) {
+            logger.warn(`Error: ${err.message}`);
+        }
+        if (!closed) {
+            timer = setTimeout(check, interval);
+        }
+    };
+    timer = setTimeout(check, interval);
+    return {
+        port: preview ? preview.port : null,
+        async close() {
+            closed = true;
+            clearTimeout(timer);
+            if (preview) {
+                await preview.close();
+            }
+        }
+    };
+}
+
+function reportCliError(error) {
+    if (error instanceof AutodocError) {
+        console.error(`Error: ${error.message}`);
+    } else {
         console.error('Error generating documentation:', error);
-        process.exit(1);
     }
+    process.exit(1);
+}
+
+function runCli(argv) {
+    const program = new Command();
+    program
+      .enablePositionalOptions()
+      .option('--skip-uncommented', 'Skip abstracts and objects without comments')
+      .option('-i, --input <directory>', 'Input directory containing parsed files', DEFAULT_INPUT_DIR)
+      .option('-o, --output <directory>', 'Output directory for generated documentation', DEFAULT_OUTPUT_DIR)
+      .option('--source <directory>', 'Directory with the original .eo sources, enables "View source" pages')
+      .option('--source-url-template <template>', 'Repository URL for objects, with {path}, {line}, {ref} and {package} placeholders')
+      .option('--source-ref <ref>', 'Value of the {ref} placeholder in --source-url-template', 'HEAD')
+      .option('--format <format>', `Output format: ${OUTPUT_FORMATS.join(', ')}`, 'html')
+      .option('--json <file>', 'Also write the documentation model as JSON to this file')
+      .option('--no-cache', 'Regenerate everything instead of reusing the cache in the output directory')
+      .option('--theme <directory>', 'Theme directory with templates/*.js overrides and assets/ to copy')
+      .option('--allow-html', 'Keep raw HTML from comments instead of escaping it')
+      .option('--coverage', 'Report the documentation coverage as text, coverage.json and coverage.html')
+      .option('--min-coverage <pct>', 'Fail when the overall coverage is below this percentage (implies --coverage)', parseFloat)
+      .option('--watch', 'Regenerate the documentation when .xmir files in the input directory change')
+      .option('--serve', 'Serve the output directory with live reload (implies --watch)')
+      .option('--port <number>', 'Port of the preview server', DEFAULT_PORT)
+      .action(options => {
+          if (options.watch || options.serve) {
+              return watchDocumentation(options).then(watcher => {
+                  process.once('SIGINT', () => {
+                      watcher.close().then(() => process.exit(0));
+                  });
+              }).catch(reportCliError);
+          }
+          return generateDocumentation(options).catch(reportCliError);
+      });
+    program
+      .command('lint')
+      .description('Check doc comments and report problems')
+      .option('-i, --input <directory>', 'Input directory containing parsed files', DEFAULT_INPUT_DIR)
+      .option('--source <directory>', 'Directory with the original .eo sources, used for file names in the report')
+      .option('--format <format>', `Report format: ${LINT_FORMATS.join(', ')}`, 'human')
+      .option('--report <file>', 'Write the report to this file instead of stdout')
+      .option('--strict', 'Fail on warnings too, not only on errors')
+      .action(options => {
+          const logger = { log() {}, warn: message => console.error(message) };
+          return lintDocumentation({ ...options, logger }).then(async result => {
+              if (options.report) {
+                  await writeFile(path.resolve(options.report), result.report);
+              } else {
+                  console.log(result.report);
+              }
+              if (result.errors > 0 || (options.strict && result.warnings > 0)) {
+                  process.exit(1);
+              }
+          }).catch(reportCliError);
+      });
+    return program.parseAsync(argv);
 }
 
 if (require.main === module) {
-    generateDocumentation(options);
+    runCli(process.argv);
 }
 
 module.exports = generateDocumentation;
+module.exports.generateDocumentation = generateDocumentation;
+module.exports.watchDocumentation = watchDocumentation;
+module.exports.lintDocumentation = lintDocumentation;
+module.exports.AutodocError = AutodocError;
+module.exports.InputError = InputError;
+module.exports.XmirParseError = XmirParseError;
+module.exports.OptionError = OptionError;
+module.exports.ThemeError = ThemeError;
+module.exports.CoverageError = CoverageError;
+module.exports.OutputError = OutputError;
+module.exports.computeCoverage = computeCoverage;
+module.exports.DEFAULT_THEME = DEFAULT_THEME;